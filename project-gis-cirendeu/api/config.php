@@ -32,6 +32,7 @@ define('BASE_URL', 'http://localhost/project-gis-cirendeu/');
 define('UPLOAD_PATH', '../uploads/');
 define('LOG_PATH', '../logs/');
 define('MAX_FILE_SIZE', 5 * 1024 * 1024); // 5MB
+define('MAX_FACILITY_PHOTOS', 10);
 
 /**
  * ===============================================
@@ -4,6 +4,9 @@
 
 require_once 'config.php';
 
+// Keys of the jam_buka object, Monday first
+const OPENING_DAYS = ['senin', 'selasa', 'rabu', 'kamis', 'jumat', 'sabtu', 'minggu'];
+
 $method = $_SERVER['REQUEST_METHOD'];
 $path = parse_url($_SERVER['REQUEST_URI'], PHP_URL_PATH);
 $path_parts = explode('/', trim($path, '/'));
@@ -17,6 +20,9 @@ if (!empty($path_parts) && is_numeric(end($path_parts))) {
     $facility_id = (int)array_pop($path_parts);
 }
 
+// ?action=photos on a facility URL manages its photo gallery
+$action = $_GET['action'] ?? null;
+
 try {
     switch ($method) {
         case 'GET':
@@ -29,6 +35,12 @@ try {
                     case 'stats':
                         getStatistics();
                         break;
+                    case 'photos':
+                        if (!$facility_id) {
+                            sendError('Facility ID required', 400);
+                        }
+                        getFacilityPhotos($facility_id);
+                        break;
                 }
             }
             
@@ -40,21 +52,27 @@ try {
             }
             break;
         case 'POST': 
-            if ($facility_id) {
+            if ($facility_id && $action === 'photos') {
+                addFacilityPhotos($facility_id);
+            } elseif ($facility_id) {
                 updateFacility($facility_id);
             } else {
                 createFacility();
             }
             break;
         case 'PUT': 
-            if ($facility_id) {
+            if ($facility_id && $action === 'photos') {
+                updateFacilityPhotos($facility_id);
+            } elseif ($facility_id) {
                 updateFacility($facility_id);
             } else {
                 sendError('Facility ID required for update', 400);
             }
             break;
         case 'DELETE':
-            if ($facility_id) {
+            if ($facility_id && $action === 'photos') {
+                deleteFacilityPhoto($facility_id, (int)($_GET['photo_id'] ?? 0));
+            } elseif ($facility_id) {
                 deleteFacility($facility_id);
             } else {
                 sendError('Facility ID required for deletion', 400);
@@ -102,7 +120,8 @@ function getFacilities() {
         
         $sql = "
             SELECT id_fasilitas, nama_fasilitas, foto_fasilitas, alamat, 
-                   deskripsi, latitude, longitude, kategori, created_at, updated_at
+                   deskripsi, latitude, longitude, kategori, telepon, website,
+                   jam_buka, created_at, updated_at
             FROM fasilitas_umum 
             $where_clause 
             ORDER BY created_at DESC 
@@ -117,6 +136,8 @@ function getFacilities() {
         $facilities = $stmt->fetchAll();
         
         if (isset($_GET['format']) && $_GET['format'] === 'geojson') {
+            $galleries = getPhotoGalleries($pdo, array_column($facilities, 'id_fasilitas'));
+            
             $features = [];
             foreach ($facilities as $facility) {
                 $features[] = [
@@ -127,8 +148,12 @@ function getFacilities() {
                         'alamat' => $facility['alamat'],
                         'deskripsi' => $facility['deskripsi'],
                         'kategori' => $facility['kategori'],
+                        'telepon' => $facility['telepon'],
+                        'website' => $facility['website'],
+                        'jam_buka' => decodeOpeningHours($facility['jam_buka']),
                         'foto' => $facility['foto_fasilitas'],
-                        'foto_fasilitas' => $facility['foto_fasilitas']
+                        'foto_fasilitas' => $facility['foto_fasilitas'],
+                        'galeri' => $galleries[$facility['id_fasilitas']] ?? []
                     ],
                     'geometry' => [
                         'type' => 'Point',
@@ -167,7 +192,8 @@ function getFacility($id) {
         $pdo = getDBConnection();
         $stmt = $pdo->prepare("
             SELECT id_fasilitas, nama_fasilitas, foto_fasilitas, alamat, 
-                   deskripsi, latitude, longitude, kategori, created_at, updated_at
+                   deskripsi, latitude, longitude, kategori, telepon, website,
+                   jam_buka, created_at, updated_at
             FROM fasilitas_umum 
             WHERE id_fasilitas = ?
         ");
@@ -178,6 +204,8 @@ function getFacility($id) {
             sendError('Facility not found', 404);
         }
         
+        $facility['jam_buka'] = decodeOpeningHours($facility['jam_buka']);
+        $facility['galeri'] = getPhotoGalleries($pdo, [$id])[$id] ?? [];
         sendSuccess($facility);
         
     } catch (PDOException $e) {
@@ -202,8 +230,14 @@ function createFacility() {
         'deskripsi' => ['required' => false],
         'latitude' => ['required' => true, 'type' => 'float', 'callback' => function($value) { return ($value >= -90 && $value <= 90) ? true : 'Latitude must be between -90 and 90'; }],
         'longitude' => ['required' => true, 'type' => 'float', 'callback' => function($value) { return ($value >= -180 && $value <= 180) ? true : 'Longitude must be between -180 and 180'; }],
-        'kategori' => ['required' => true, 'callback' => function($value) { $allowed = ['Masjid', 'Pendidikan', 'Kesehatan', 'Prasarana Umum', 'Fasilitas Publik']; return in_array($value, $allowed) ? true : 'Invalid category'; }]
-    ]);
+        'kategori' => getCategoryRule()
+    ] + getContactRules());
+    
+    $hours = normalizeOpeningHours($input['jam_buka'] ?? null);
+    if (!$hours['valid']) {
+        $validation['valid'] = false;
+        $validation['errors'][] = $hours['error'];
+    }
     
     if (!$validation['valid']) {
         sendError('Validation failed: ' . implode(', ', $validation['errors']), 422);
@@ -211,29 +245,32 @@ function createFacility() {
     
     $data = $validation['data'];
     
-    $foto_filename = null;
-    if (isset($_FILES['foto']) && $_FILES['foto']['error'] === UPLOAD_ERR_OK) {
-        $upload_result = handleFileUpload($_FILES['foto']);
-        if (!$upload_result['success']) {
-            sendError($upload_result['message'], 400);
-        }
-        $foto_filename = $upload_result['filename'];
-    }
-    
     try {
         $pdo = getDBConnection();
+        $pdo->beginTransaction();
+        
         $stmt = $pdo->prepare("
-            INSERT INTO fasilitas_umum (nama_fasilitas, foto_fasilitas, alamat, deskripsi, latitude, longitude, kategori) 
-            VALUES (?, ?, ?, ?, ?, ?, ?)
+            INSERT INTO fasilitas_umum (nama_fasilitas, alamat, deskripsi, latitude, longitude, kategori, telepon, website, jam_buka) 
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
         ");
         
         $stmt->execute([
-            $data['nama_fasilitas'], $foto_filename, $data['alamat'],
-            $data['deskripsi'], $data['latitude'], $data['longitude'], $data['kategori']
+            $data['nama_fasilitas'], $data['alamat'],
+            $data['deskripsi'], $data['latitude'], $data['longitude'], $data['kategori'],
+            $data['telepon'], $data['website'], $hours['value']
         ]);
         
         $new_id = $pdo->lastInsertId();
         
+        // Photos sent as foto[] (with keterangan[] captions) start the gallery
+        $photo_result = storeUploadedPhotos($pdo, $new_id);
+        if (!$photo_result['success']) {
+            $pdo->rollBack();
+            sendError($photo_result['message'], $photo_result['status']);
+        }
+        
+        $pdo->commit();
+        
         $stmt = $pdo->prepare("SELECT * FROM fasilitas_umum WHERE id_fasilitas = ?");
         $stmt->execute([$new_id]);
         $facility = $stmt->fetch();
@@ -242,6 +279,9 @@ function createFacility() {
         sendSuccess($facility, 'Facility created successfully');
         
     } catch (PDOException $e) {
+        if (isset($pdo) && $pdo->inTransaction()) {
+            $pdo->rollBack();
+        }
         logError('Database error creating facility: ' . $e->getMessage());
         sendError('Database error', 500);
     }
@@ -282,21 +322,30 @@ function updateFacility($id) {
     $update_fields = [];
     $params = [];
     
-    $foto_filename = $existing['foto_fasilitas'];
-    $file_uploaded = false;
+    // Contact fields and opening hours are validated like in createFacility;
+    // sending an empty value clears them
+    $contact_rules = array_intersect_key(getContactRules(), $input);
+    $contact = validateInput($input, $contact_rules);
+    $errors = $contact['errors'];
     
-    if (isset($_FILES['foto']) && $_FILES['foto']['error'] === UPLOAD_ERR_OK) {
-        $upload_result = handleFileUpload($_FILES['foto']);
-        if (!$upload_result['success']) sendError($upload_result['message'], 400);
-        
-        if ($foto_filename && file_exists(UPLOAD_PATH . $foto_filename)) {
-            unlink(UPLOAD_PATH . $foto_filename);
-        }
-        
-        $foto_filename = $upload_result['filename'];
-        $file_uploaded = true;
+    if (!empty($input['kategori'])) {
+        $category = validateInput($input, ['kategori' => getCategoryRule()]);
+        $errors = array_merge($errors, $category['errors']);
+    }
+    
+    $hours = ['valid' => true, 'value' => null];
+    if (array_key_exists('jam_buka', $input)) {
+        $hours = normalizeOpeningHours($input['jam_buka']);
+        if (!$hours['valid']) $errors[] = $hours['error'];
+    }
+    
+    if (!empty($errors)) {
+        sendError('Validation failed: ' . implode(', ', $errors), 422);
     }
     
+    // New photos are added to the gallery rather than replacing the old one
+    $has_photos = !empty(getUploadedFiles('foto'));
+    
     foreach ($allowed_fields as $field) {
         if (array_key_exists($field, $input)) {
             $value = $input[$field];
@@ -308,24 +357,39 @@ function updateFacility($id) {
         }
     }
     
-    if ($file_uploaded) {
-        $update_fields[] = "foto_fasilitas = ?";
-        $params[] = $foto_filename;
+    foreach (array_keys($contact_rules) as $field) {
+        $update_fields[] = "$field = ?";
+        $params[] = $contact['data'][$field];
+    }
+    
+    if (array_key_exists('jam_buka', $input)) {
+        $update_fields[] = "jam_buka = ?";
+        $params[] = $hours['value'];
     }
     
     $update_fields[] = "updated_at = CURRENT_TIMESTAMP";
     
-    if (count($update_fields) <= 1 && !$file_uploaded) {
+    if (count($update_fields) <= 1 && !$has_photos) {
         sendError('No valid data provided for update', 400);
     }
     
     $params[] = $id;
     
     try {
+        $pdo->beginTransaction();
+        
         $sql = "UPDATE fasilitas_umum SET " . implode(', ', $update_fields) . " WHERE id_fasilitas = ?";
         $stmt = $pdo->prepare($sql);
         $stmt->execute($params);
         
+        $photo_result = storeUploadedPhotos($pdo, $id);
+        if (!$photo_result['success']) {
+            $pdo->rollBack();
+            sendError($photo_result['message'], $photo_result['status']);
+        }
+        
+        $pdo->commit();
+        
         $stmt = $pdo->prepare("SELECT * FROM fasilitas_umum WHERE id_fasilitas = ?");
         $stmt->execute([$id]);
         $facility = $stmt->fetch();
@@ -334,6 +398,9 @@ function updateFacility($id) {
         sendSuccess($facility, 'Facility updated successfully');
         
     } catch (PDOException $e) {
+        if ($pdo->inTransaction()) {
+            $pdo->rollBack();
+        }
         logError('Database error updating facility: ' . $e->getMessage());
         sendError('Database error', 500);
     }
@@ -351,11 +418,17 @@ function deleteFacility($id) {
         
         if (!$facility) sendError('Facility not found', 404);
         
+        $photo_files = array_column(getPhotoGalleries($pdo, [$id])[$id] ?? [], 'nama_file');
+        $photo_files[] = $facility['foto_fasilitas'];
+        
+        // Gallery rows go with the facility (ON DELETE CASCADE)
         $stmt = $pdo->prepare("DELETE FROM fasilitas_umum WHERE id_fasilitas = ?");
         $stmt->execute([$id]);
         
-        if ($facility['foto_fasilitas'] && file_exists(UPLOAD_PATH . $facility['foto_fasilitas'])) {
-            unlink(UPLOAD_PATH . $facility['foto_fasilitas']);
+        foreach (array_unique(array_filter($photo_files)) as $filename) {
+            if (file_exists(UPLOAD_PATH . $filename)) {
+                unlink(UPLOAD_PATH . $filename);
+            }
         }
         
         logError('Facility deleted', ['facility_id' => $id, 'facility_name' => $facility['nama_fasilitas'], 'deleted_by' => $_SESSION['user_id']]);
@@ -367,15 +440,434 @@ function deleteFacility($id) {
     }
 }
 
-function getCategories() {
-    $categories = [
-        ['value' => 'Masjid', 'label' => 'Masjid', 'icon' => 'fas fa-mosque', 'color' => '#2ecc71'],
-        ['value' => 'Pendidikan', 'label' => 'Pendidikan', 'icon' => 'fas fa-graduation-cap', 'color' => '#3498db'],
-        ['value' => 'Kesehatan', 'label' => 'Kesehatan', 'icon' => 'fas fa-hospital', 'color' => '#e74c3c'],
-        ['value' => 'Prasarana Umum', 'label' => 'Prasarana Umum', 'icon' => 'fas fa-building', 'color' => '#9b59b6'],
-        ['value' => 'Fasilitas Publik', 'label' => 'Fasilitas Publik', 'icon' => 'fas fa-gas-pump', 'color' => '#f39c12']
+/**
+ * ===============================================
+ * CONTACT & OPENING HOURS
+ * ===============================================
+ */
+// Only categories from the kategori table are accepted. Validation runs
+// outside the handlers' try blocks, so database errors are answered here.
+function getCategoryRule() {
+    return ['required' => true, 'max_length' => 50, 'callback' => function($value) {
+        try {
+            $categories = fetchCategories();
+        } catch (PDOException $e) {
+            logError('Database error validating category: ' . $e->getMessage());
+            sendError('Database error', 500);
+        }
+        return in_array($value, array_column($categories, 'value'), true) ? true : 'Invalid category';
+    }];
+}
+
+function getContactRules() {
+    return [
+        'telepon' => ['required' => false, 'max_length' => 20, 'callback' => function($value) { return preg_match('/^\+?[0-9][0-9 ()-]{5,19}$/', $value) ? true : 'Invalid phone number'; }],
+        'website' => ['required' => false, 'max_length' => 250, 'callback' => function($value) { return (filter_var($value, FILTER_VALIDATE_URL) && preg_match('#^https?://#i', $value)) ? true : 'Website must be an http(s) URL'; }]
     ];
-    sendSuccess($categories);
+}
+
+// jam_buka is {"senin": ["08:00-12:00", "13:00-16:00"], ..., "minggu": []}.
+// Days that are left out or empty are closed; a range may end after
+// midnight ("22:00-02:00") and "00:00-24:00" means open all day.
+// Accepts the object or its JSON string; returns the JSON to store.
+function normalizeOpeningHours($value) {
+    if ($value === null || $value === '' || $value === []) {
+        return ['valid' => true, 'value' => null];
+    }
+    
+    if (is_string($value)) {
+        $value = json_decode($value, true);
+    }
+    if (!is_array($value)) {
+        return ['valid' => false, 'error' => 'Opening hours must be an object keyed by day'];
+    }
+    
+    $hours = [];
+    foreach ($value as $day => $ranges) {
+        if (!in_array($day, OPENING_DAYS, true)) {
+            return ['valid' => false, 'error' => "Unknown day '$day' in opening hours"];
+        }
+        if (!is_array($ranges)) {
+            return ['valid' => false, 'error' => "Opening hours for '$day' must be a list"];
+        }
+        
+        foreach ($ranges as $range) {
+            if (!is_string($range) || !preg_match('/^(([01]\d|2[0-3]):[0-5]\d)-(([01]\d|2[0-3]):[0-5]\d|24:00)$/', $range, $match)) {
+                return ['valid' => false, 'error' => "Invalid time range for '$day', use HH:MM-HH:MM"];
+            }
+            if ($match[1] === $match[3]) {
+                return ['valid' => false, 'error' => "Time range for '$day' starts and ends at the same time"];
+            }
+        }
+        $hours[$day] = array_values($ranges);
+    }
+    
+    // Store the days in calendar order
+    $ordered = [];
+    foreach (OPENING_DAYS as $day) {
+        if (isset($hours[$day])) $ordered[$day] = $hours[$day];
+    }
+    
+    return ['valid' => true, 'value' => empty($ordered) ? null : json_encode($ordered)];
+}
+
+function decodeOpeningHours($json) {
+    return $json ? json_decode($json, true) : null;
+}
+
+/**
+ * ===============================================
+ * FACILITY PHOTOS (galeri_fasilitas)
+ * ===============================================
+ */
+function getFacilityPhotos($id) {
+    try {
+        $pdo = getDBConnection();
+        if (!facilityExists($pdo, $id)) sendError('Facility not found', 404);
+        
+        sendSuccess(getPhotoList($pdo, $id));
+        
+    } catch (PDOException $e) {
+        logError('Database error getting facility photos: ' . $e->getMessage());
+        sendError('Database error', 500);
+    }
+}
+
+function addFacilityPhotos($id) {
+    requireAuth();
+    
+    if (empty(getUploadedFiles('foto'))) {
+        sendError('No photos uploaded', 400);
+    }
+    
+    try {
+        $pdo = getDBConnection();
+        if (!facilityExists($pdo, $id)) sendError('Facility not found', 404);
+        
+        $pdo->beginTransaction();
+        $photo_result = storeUploadedPhotos($pdo, $id);
+        if (!$photo_result['success']) {
+            $pdo->rollBack();
+            sendError($photo_result['message'], $photo_result['status']);
+        }
+        $pdo->commit();
+        
+        logError('Facility photos added', ['facility_id' => $id, 'count' => $photo_result['count'], 'added_by' => $_SESSION['user_id']]);
+        sendSuccess(getPhotoList($pdo, $id), 'Photos added successfully');
+        
+    } catch (PDOException $e) {
+        if (isset($pdo) && $pdo->inTransaction()) {
+            $pdo->rollBack();
+        }
+        logError('Database error adding facility photos: ' . $e->getMessage());
+        sendError('Database error', 500);
+    }
+}
+
+// Body: {"foto": [{"id_foto": 3, "keterangan": "..."}, ...]} in display order
+function updateFacilityPhotos($id) {
+    requireAuth();
+    
+    $input = json_decode(file_get_contents('php://input'), true);
+    if (!is_array($input) || !isset($input['foto']) || !is_array($input['foto'])) {
+        sendError('Photo list required', 400);
+    }
+    
+    try {
+        $pdo = getDBConnection();
+        if (!facilityExists($pdo, $id)) sendError('Facility not found', 404);
+        
+        $existing = array_column(getPhotoList($pdo, $id), null, 'id_foto');
+        
+        $updates = [];
+        foreach ($input['foto'] as $index => $photo) {
+            $photo_id = (int)($photo['id_foto'] ?? 0);
+            if (!isset($existing[$photo_id])) {
+                sendError("Photo $photo_id does not belong to this facility", 422);
+            }
+            
+            $caption = $existing[$photo_id]['keterangan'];
+            if (array_key_exists('keterangan', $photo)) {
+                $caption_result = validatePhotoCaption($photo['keterangan']);
+                if (!$caption_result['valid']) {
+                    sendError('Validation failed: ' . implode(', ', $caption_result['errors']), 422);
+                }
+                $caption = $caption_result['value'];
+            }
+            
+            $updates[] = [$index, $caption, $photo_id, $id];
+        }
+        
+        $pdo->beginTransaction();
+        $stmt = $pdo->prepare("
+            UPDATE galeri_fasilitas SET urutan = ?, keterangan = ?
+            WHERE id_foto = ? AND id_fasilitas = ?
+        ");
+        foreach ($updates as $params) {
+            $stmt->execute($params);
+        }
+        syncCoverPhoto($pdo, $id);
+        $pdo->commit();
+        
+        sendSuccess(getPhotoList($pdo, $id), 'Photos updated successfully');
+        
+    } catch (PDOException $e) {
+        if (isset($pdo) && $pdo->inTransaction()) {
+            $pdo->rollBack();
+        }
+        logError('Database error updating facility photos: ' . $e->getMessage());
+        sendError('Database error', 500);
+    }
+}
+
+function deleteFacilityPhoto($id, $photo_id) {
+    requireAuth();
+    
+    if (!$photo_id) {
+        sendError('Photo ID required for deletion', 400);
+    }
+    
+    try {
+        $pdo = getDBConnection();
+        $stmt = $pdo->prepare("SELECT nama_file FROM galeri_fasilitas WHERE id_foto = ? AND id_fasilitas = ?");
+        $stmt->execute([$photo_id, $id]);
+        $photo = $stmt->fetch();
+        
+        if (!$photo) sendError('Photo not found', 404);
+        
+        $stmt = $pdo->prepare("DELETE FROM galeri_fasilitas WHERE id_foto = ?");
+        $stmt->execute([$photo_id]);
+        syncCoverPhoto($pdo, $id);
+        
+        if (file_exists(UPLOAD_PATH . $photo['nama_file'])) {
+            unlink(UPLOAD_PATH . $photo['nama_file']);
+        }
+        
+        logError('Facility photo deleted', ['facility_id' => $id, 'photo_id' => $photo_id, 'deleted_by' => $_SESSION['user_id']]);
+        sendSuccess(getPhotoList($pdo, $id), 'Photo deleted successfully');
+        
+    } catch (PDOException $e) {
+        logError('Database error deleting facility photo: ' . $e->getMessage());
+        sendError('Database error', 500);
+    }
+}
+
+function facilityExists($pdo, $id) {
+    $stmt = $pdo->prepare("SELECT COUNT(*) FROM fasilitas_umum WHERE id_fasilitas = ?");
+    $stmt->execute([$id]);
+    return $stmt->fetchColumn() > 0;
+}
+
+function getPhotoList($pdo, $id) {
+    $stmt = $pdo->prepare("
+        SELECT id_foto, nama_file, keterangan, urutan
+        FROM galeri_fasilitas
+        WHERE id_fasilitas = ?
+        ORDER BY urutan ASC, id_foto ASC
+    ");
+    $stmt->execute([$id]);
+    return $stmt->fetchAll();
+}
+
+// Galleries for several facilities at once, keyed by id_fasilitas
+function getPhotoGalleries($pdo, $facility_ids) {
+    if (empty($facility_ids)) return [];
+    
+    try {
+        $placeholders = implode(', ', array_fill(0, count($facility_ids), '?'));
+        $stmt = $pdo->prepare("
+            SELECT id_fasilitas, id_foto, nama_file, keterangan
+            FROM galeri_fasilitas
+            WHERE id_fasilitas IN ($placeholders)
+            ORDER BY urutan ASC, id_foto ASC
+        ");
+        $stmt->execute(array_values($facility_ids));
+        
+        $galleries = [];
+        foreach ($stmt->fetchAll() as $photo) {
+            $galleries[$photo['id_fasilitas']][] = [
+                'id_foto' => (int)$photo['id_foto'],
+                'nama_file' => $photo['nama_file'],
+                'keterangan' => $photo['keterangan']
+            ];
+        }
+        return $galleries;
+        
+    } catch (PDOException $e) {
+        // Databases without galeri_fasilitas yet keep serving foto_fasilitas
+        logError('Database error getting photo galleries: ' . $e->getMessage());
+        return [];
+    }
+}
+
+// $_FILES[$field] holds one file, or parallel arrays when sent as field[]
+function getUploadedFiles($field) {
+    if (!isset($_FILES[$field])) return [];
+    
+    $upload = $_FILES[$field];
+    if (!is_array($upload['name'])) {
+        return $upload['error'] === UPLOAD_ERR_NO_FILE ? [] : [$upload];
+    }
+    
+    $files = [];
+    foreach (array_keys($upload['name']) as $i) {
+        if ($upload['error'][$i] === UPLOAD_ERR_NO_FILE) continue;
+        $files[] = [
+            'name' => $upload['name'][$i],
+            'type' => $upload['type'][$i],
+            'tmp_name' => $upload['tmp_name'][$i],
+            'error' => $upload['error'][$i],
+            'size' => $upload['size'][$i]
+        ];
+    }
+    return $files;
+}
+
+function validatePhotoCaption($caption) {
+    $validation = validateInput(
+        ['keterangan' => is_scalar($caption) ? (string)$caption : ''],
+        ['keterangan' => ['required' => false, 'max_length' => 200]]
+    );
+    
+    return [
+        'valid' => $validation['valid'],
+        'errors' => $validation['errors'],
+        'value' => $validation['data']['keterangan'] ?? null
+    ];
+}
+
+// Appends the uploaded foto / foto[] files (captions in keterangan[]) to the
+// facility's gallery. Returns the same success/message shape as handleFileUpload.
+function storeUploadedPhotos($pdo, $id) {
+    $files = getUploadedFiles('foto');
+    if (empty($files)) {
+        return ['success' => true, 'count' => 0];
+    }
+    
+    adoptLegacyPhoto($pdo, $id);
+    
+    $stmt = $pdo->prepare("SELECT COUNT(*), COALESCE(MAX(urutan), -1) FROM galeri_fasilitas WHERE id_fasilitas = ?");
+    $stmt->execute([$id]);
+    [$count, $last_order] = $stmt->fetch(PDO::FETCH_NUM);
+    
+    if ($count + count($files) > MAX_FACILITY_PHOTOS) {
+        return [
+            'success' => false,
+            'status' => 422,
+            'message' => 'A facility can have at most ' . MAX_FACILITY_PHOTOS . ' photos'
+        ];
+    }
+    
+    $captions = $_POST['keterangan'] ?? [];
+    if (!is_array($captions)) $captions = [$captions];
+    
+    $clean_captions = [];
+    foreach (array_keys($files) as $index) {
+        $caption_result = validatePhotoCaption($captions[$index] ?? null);
+        if (!$caption_result['valid']) {
+            return [
+                'success' => false,
+                'status' => 422,
+                'message' => 'Validation failed: ' . implode(', ', $caption_result['errors'])
+            ];
+        }
+        $clean_captions[] = $caption_result['value'];
+    }
+    
+    $filenames = [];
+    foreach ($files as $file) {
+        $upload_result = handleFileUpload($file);
+        if (!$upload_result['success']) {
+            // Don't leave half of the batch behind in uploads/
+            foreach ($filenames as $filename) {
+                unlink(UPLOAD_PATH . $filename);
+            }
+            return ['success' => false, 'status' => 400, 'message' => $upload_result['message']];
+        }
+        $filenames[] = $upload_result['filename'];
+    }
+    
+    $stmt = $pdo->prepare("
+        INSERT INTO galeri_fasilitas (id_fasilitas, nama_file, keterangan, urutan)
+        VALUES (?, ?, ?, ?)
+    ");
+    foreach ($filenames as $index => $filename) {
+        $stmt->execute([$id, $filename, $clean_captions[$index], $last_order + 1 + $index]);
+    }
+    
+    syncCoverPhoto($pdo, $id);
+    return ['success' => true, 'count' => count($filenames)];
+}
+
+// Rows saved before the gallery existed (migrateFacilityPhotos not run yet)
+// only have foto_fasilitas; keep it as the first gallery photo so new uploads
+// don't replace it as the cover
+function adoptLegacyPhoto($pdo, $id) {
+    $stmt = $pdo->prepare("
+        INSERT INTO galeri_fasilitas (id_fasilitas, nama_file, urutan)
+        SELECT f.id_fasilitas, f.foto_fasilitas, 0
+        FROM fasilitas_umum f
+        WHERE f.id_fasilitas = ?
+          AND f.foto_fasilitas IS NOT NULL AND f.foto_fasilitas <> ''
+          AND NOT EXISTS (
+              SELECT 1 FROM galeri_fasilitas g WHERE g.id_fasilitas = f.id_fasilitas
+          )
+    ");
+    $stmt->execute([$id]);
+}
+
+// foto_fasilitas mirrors the first gallery photo for list views and older clients
+function syncCoverPhoto($pdo, $id) {
+    $stmt = $pdo->prepare("
+        UPDATE fasilitas_umum
+        SET foto_fasilitas = (
+            SELECT nama_file FROM galeri_fasilitas
+            WHERE id_fasilitas = ?
+            ORDER BY urutan ASC, id_foto ASC
+            LIMIT 1
+        )
+        WHERE id_fasilitas = ?
+    ");
+    $stmt->execute([$id, $id]);
+}
+
+// Categories live in the kategori table (seeded by migration.php from
+// data/kategori.json). value is what fasilitas_umum.kategori stores and
+// slug is the layer key used by the map.
+function fetchCategories() {
+    static $categories = null;
+    
+    if ($categories === null) {
+        $pdo = getDBConnection();
+        $stmt = $pdo->prepare("
+            SELECT nama_kategori, slug, ikon, warna, deskripsi
+            FROM kategori
+            ORDER BY urutan ASC, nama_kategori ASC
+        ");
+        $stmt->execute();
+        
+        $categories = array_map(function($row) {
+            return [
+                'value' => $row['nama_kategori'],
+                'label' => $row['nama_kategori'],
+                'slug' => $row['slug'],
+                'icon' => $row['ikon'],
+                'color' => $row['warna'],
+                'description' => $row['deskripsi']
+            ];
+        }, $stmt->fetchAll());
+    }
+    
+    return $categories;
+}
+
+function getCategories() {
+    try {
+        sendSuccess(fetchCategories());
+    } catch (PDOException $e) {
+        logError('Database error getting categories: ' . $e->getMessage());
+        sendError('Database error', 500);
+    }
 }
 
 function getStatistics() {
@@ -0,0 +1,63 @@
+<?php
+// api/jalan.php
+// Read-only endpoint for the road network (GeoJSON)
+
+require_once 'config.php';
+
+$method = $_SERVER['REQUEST_METHOD'];
+
+try {
+    switch ($method) {
+        case 'GET':
+            getRoads();
+            break;
+        default:
+            sendError('Method not allowed', 405);
+    }
+} catch (Exception $e) {
+    logError('Roads API error: ' . $e->getMessage());
+    sendError('Internal server error', 500);
+}
+
+function getRoads() {
+    try {
+        $pdo = getDBConnection();
+        $stmt = $pdo->prepare("
+            SELECT id_jalan, nama_jalan, geometri
+            FROM jalan
+            ORDER BY id_jalan ASC
+        ");
+        $stmt->execute();
+        $roads = $stmt->fetchAll();
+
+        $features = [];
+        foreach ($roads as $road) {
+            $geometry = json_decode($road['geometri'], true);
+
+            // Skip rows whose stored geometry is not valid GeoJSON
+            if (!is_array($geometry) || !isset($geometry['type'], $geometry['coordinates'])) {
+                logError('Invalid road geometry', ['id_jalan' => $road['id_jalan']]);
+                continue;
+            }
+
+            $features[] = [
+                'type' => 'Feature',
+                'properties' => [
+                    'id' => (int)$road['id_jalan'],
+                    'jalan' => $road['nama_jalan']
+                ],
+                'geometry' => $geometry
+            ];
+        }
+
+        sendSuccess([
+            'type' => 'FeatureCollection',
+            'features' => $features
+        ]);
+
+    } catch (PDOException $e) {
+        logError('Database error getting roads: ' . $e->getMessage());
+        sendError('Database error', 500);
+    }
+}
+?>
\ No newline at end of file
@@ -37,6 +37,9 @@ class DatabaseMigration {
                     latitude VARCHAR(100) NOT NULL,
                     longitude VARCHAR(100) NOT NULL,
                     kategori VARCHAR(50) NOT NULL,
+                    telepon VARCHAR(20),
+                    website VARCHAR(250),
+                    jam_buka TEXT,
                     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
                 )
@@ -44,6 +47,56 @@ class DatabaseMigration {
             $this->pdo->exec($sql_facilities);
             echo "✅ Tabel 'fasilitas_umum' berhasil dibuat\n";
             
+            // Contact and opening-hours columns for databases created before they existed
+            $this->addColumnIfMissing('fasilitas_umum', 'telepon', 'VARCHAR(20) AFTER kategori');
+            $this->addColumnIfMissing('fasilitas_umum', 'website', 'VARCHAR(250) AFTER telepon');
+            $this->addColumnIfMissing('fasilitas_umum', 'jam_buka', 'TEXT AFTER website');
+            
+            // Create jalan table (geometri holds a GeoJSON geometry object)
+            $sql_roads = "
+                CREATE TABLE IF NOT EXISTS jalan (
+                    id_jalan INT(11) PRIMARY KEY AUTO_INCREMENT,
+                    nama_jalan VARCHAR(100) NOT NULL,
+                    geometri LONGTEXT NOT NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+                )
+            ";
+            $this->pdo->exec($sql_roads);
+            echo "✅ Tabel 'jalan' berhasil dibuat\n";
+            
+            // Create galeri_fasilitas table (photos per facility, ordered by urutan)
+            $sql_photos = "
+                CREATE TABLE IF NOT EXISTS galeri_fasilitas (
+                    id_foto INT(11) PRIMARY KEY AUTO_INCREMENT,
+                    id_fasilitas INT(11) NOT NULL,
+                    nama_file VARCHAR(250) NOT NULL,
+                    keterangan TEXT,
+                    urutan INT(11) NOT NULL DEFAULT 0,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    INDEX idx_galeri_fasilitas (id_fasilitas, urutan),
+                    FOREIGN KEY (id_fasilitas) REFERENCES fasilitas_umum(id_fasilitas) ON DELETE CASCADE
+                )
+            ";
+            $this->pdo->exec($sql_photos);
+            echo "✅ Tabel 'galeri_fasilitas' berhasil dibuat\n";
+            
+            // Create kategori table (facility categories; fasilitas_umum.kategori holds nama_kategori)
+            $sql_categories = "
+                CREATE TABLE IF NOT EXISTS kategori (
+                    id_kategori INT(11) PRIMARY KEY AUTO_INCREMENT,
+                    nama_kategori VARCHAR(50) UNIQUE NOT NULL,
+                    slug VARCHAR(50) UNIQUE NOT NULL,
+                    ikon VARCHAR(50) NOT NULL DEFAULT 'fas fa-map-marker-alt',
+                    warna VARCHAR(7) NOT NULL DEFAULT '#95a5a6',
+                    deskripsi TEXT,
+                    urutan INT(11) NOT NULL DEFAULT 0,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )
+            ";
+            $this->pdo->exec($sql_categories);
+            echo "✅ Tabel 'kategori' berhasil dibuat\n";
+            
             return true;
         } catch (PDOException $e) {
             echo "❌ Error creating tables: " . $e->getMessage() . "\n";
@@ -51,6 +104,19 @@ class DatabaseMigration {
         }
     }
     
+    private function addColumnIfMissing($table, $column, $definition) {
+        $stmt = $this->pdo->prepare("
+            SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+            WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?
+        ");
+        $stmt->execute([$table, $column]);
+        
+        if ($stmt->fetchColumn() == 0) {
+            $this->pdo->exec("ALTER TABLE $table ADD COLUMN $column $definition");
+            echo "✅ Kolom '$table.$column' ditambahkan\n";
+        }
+    }
+    
     public function createDefaultAdmin() {
         try {
             // Check if admin already exists
@@ -81,6 +147,51 @@ class DatabaseMigration {
         }
     }
     
+    public function migrateCategories() {
+        try {
+            // Check if data already exists
+            $stmt = $this->pdo->prepare("SELECT COUNT(*) FROM kategori");
+            $stmt->execute();
+            
+            if ($stmt->fetchColumn() > 0) {
+                echo "ℹ️  Data kategori sudah ada, skip migration\n";
+                return true;
+            }
+            
+            // Same file the map falls back to when the API is unavailable
+            $categories_file = __DIR__ . '/../data/kategori.json';
+            $categories = json_decode(file_get_contents($categories_file), true);
+            
+            if (!$categories) {
+                echo "❌ File kategori.json tidak dapat dibaca\n";
+                return false;
+            }
+            
+            $stmt = $this->pdo->prepare("
+                INSERT INTO kategori (nama_kategori, slug, ikon, warna, deskripsi, urutan) 
+                VALUES (?, ?, ?, ?, ?, ?)
+            ");
+            
+            foreach ($categories as $index => $category) {
+                $stmt->execute([
+                    $category['value'],
+                    $category['slug'],
+                    $category['icon'],
+                    $category['color'],
+                    $category['description'] ?? null,
+                    $index
+                ]);
+            }
+            
+            echo "✅ " . count($categories) . " kategori berhasil dimigrasikan\n";
+            return true;
+            
+        } catch (PDOException $e) {
+            echo "❌ Error migrating categories: " . $e->getMessage() . "\n";
+            return false;
+        }
+    }
+    
     public function migrateFacilitiesData() {
         try {
             // Check if data already exists
@@ -131,6 +242,73 @@ class DatabaseMigration {
         }
     }
     
+    public function migrateRoadsData() {
+        try {
+            // Check if data already exists
+            $stmt = $this->pdo->prepare("SELECT COUNT(*) FROM jalan");
+            $stmt->execute();
+            
+            if ($stmt->fetchColumn() > 0) {
+                echo "ℹ️  Data jalan sudah ada, skip migration\n";
+                return true;
+            }
+            
+            $geojson_file = __DIR__ . '/../data/GEOJSON_JALAN.geojson';
+            $roads = json_decode(file_get_contents($geojson_file), true);
+            
+            if (!$roads || empty($roads['features'])) {
+                echo "❌ File GEOJSON_JALAN.geojson tidak dapat dibaca\n";
+                return false;
+            }
+            
+            $stmt = $this->pdo->prepare("
+                INSERT INTO jalan (id_jalan, nama_jalan, geometri) 
+                VALUES (?, ?, ?)
+            ");
+            
+            $total = 0;
+            foreach ($roads['features'] as $feature) {
+                $stmt->execute([
+                    $feature['properties']['id'] ?? null,
+                    trim($feature['properties']['jalan'] ?? 'Jalan Tidak Dikenal'),
+                    json_encode($feature['geometry'])
+                ]);
+                $total++;
+            }
+            
+            echo "✅ $total data jalan berhasil dimigrasikan\n";
+            return true;
+            
+        } catch (PDOException $e) {
+            echo "❌ Error migrating roads: " . $e->getMessage() . "\n";
+            return false;
+        }
+    }
+    
+    public function migrateFacilityPhotos() {
+        try {
+            // Copy single photos into the gallery for facilities that have none yet
+            $stmt = $this->pdo->prepare("
+                INSERT INTO galeri_fasilitas (id_fasilitas, nama_file, urutan)
+                SELECT f.id_fasilitas, f.foto_fasilitas, 0
+                FROM fasilitas_umum f
+                WHERE f.foto_fasilitas IS NOT NULL AND f.foto_fasilitas <> ''
+                  AND NOT EXISTS (
+                      SELECT 1 FROM galeri_fasilitas g WHERE g.id_fasilitas = f.id_fasilitas
+                  )
+            ");
+            $stmt->execute();
+            
+            $total = $stmt->rowCount();
+            echo "✅ $total foto fasilitas dipindahkan ke galeri\n";
+            return true;
+            
+        } catch (PDOException $e) {
+            echo "❌ Error migrating photos: " . $e->getMessage() . "\n";
+            return false;
+        }
+    }
+    
     private function getExistingFacilitiesData() {
         return [
             'masjid' => [
@@ -241,12 +419,15 @@ class DatabaseMigration {
         
         if ($this->createTables()) {
             if ($this->createDefaultAdmin()) {
-                if ($this->migrateFacilitiesData()) {
+                if ($this->migrateCategories() && $this->migrateFacilitiesData() && $this->migrateRoadsData() && $this->migrateFacilityPhotos()) {
                     echo "\n✅ Migration berhasil completed!\n";
                     echo "\n📋 Summary:\n";
                     echo "   - Database tables created\n";
                     echo "   - Default admin user created\n";
+                    echo "   - Facility categories created\n";
                     echo "   - Existing facilities data migrated\n";
+                    echo "   - Road network data migrated\n";
+                    echo "   - Facility photos moved to gallery\n";
                     echo "\n🔑 Login Admin:\n";
                     echo "   URL: /admin/login.html\n";
                     echo "   Email: admin@cirendeu.com\n";
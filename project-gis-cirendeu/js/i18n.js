@@ -0,0 +1,947 @@
+/**
+ * ===============================================
+ * GIS CIRENDEU - TRANSLATIONS
+ * Indonesian / English message catalogs shared by the public map
+ * and the admin pages
+ * ===============================================
+ */
+
+const I18N = {
+  storageKey: "gisCirendeu.language",
+  defaultLanguage: "id",
+  // Used for number and date formatting
+  locales: {
+    id: "id-ID",
+    en: "en-GB",
+  },
+  messages: {
+    id: {
+      "app.title": "Peta Fasilitas Cirendeu",
+      "language.label": "Bahasa",
+
+      // Categories (keys follow the map layer keys)
+      "category.masjid": "Masjid",
+      "category.pendidikan": "Pendidikan",
+      "category.kesehatan": "Kesehatan",
+      "category.prasarana-umum": "Prasarana Umum",
+      "category.fasilitas-publik": "Fasilitas Publik",
+      "category.jalan": "Jalan",
+      "category.masjid.description": "Tempat ibadah umat Islam",
+      "category.pendidikan.description": "Lembaga pendidikan dan pembelajaran",
+      "category.kesehatan.description": "Fasilitas pelayanan kesehatan",
+      "category.prasarana-umum.description": "Infrastruktur dan prasarana umum",
+      "category.fasilitas-publik.description": "Fasilitas pelayanan publik",
+      "category.default.description": "Fasilitas umum",
+      "category.all": "Semua Kategori",
+      "facility.unnamed": "Tidak Dikenal",
+
+      // Shared labels
+      "common.close": "Tutup",
+      "common.cancel": "Batal",
+      "common.save": "Simpan",
+      "common.update": "Update",
+      "common.saving": "Menyimpan...",
+      "common.edit": "Edit",
+      "common.delete": "Hapus",
+      "common.loading": "Memuat...",
+      "common.pickOnMap": "Pilih di Peta",
+      "common.exportGeojson": "Ekspor GeoJSON",
+
+      // Errors and data status
+      "error.appLoad": "Gagal memuat aplikasi. Silakan refresh halaman.",
+      "error.roadData": "Data jalan tidak dapat dimuat",
+      "error.categories": "Kategori fasilitas tidak dapat dimuat",
+      "error.layers": "Gagal memuat layer peta",
+      "status.fallback":
+        "Server data tidak dapat dihubungi. Menampilkan data cadangan dari berkas.",
+      "status.cached": "Mode offline: menampilkan data tersimpan ({date}).",
+      "status.earlier": "sebelumnya",
+      "status.offline": "Anda sedang offline. Data mungkin belum yang terbaru.",
+      "loading.map": "Memuat peta...",
+
+      // Search and layers
+      "search.placeholder": "Cari fasilitas atau jalan...",
+      "search.noResults": "Tidak ada hasil ditemukan",
+      "layers.title": "Layer Control",
+      "layers.adjust": "Atur",
+      "layers.forward": "Bawa ke depan",
+      "layers.backward": "Kirim ke belakang",
+      "layers.opacity": "Opasitas",
+      "cluster.toggle": "Pengelompokan penanda",
+      "cluster.enable": "Aktifkan pengelompokan penanda",
+      "cluster.disable": "Nonaktifkan pengelompokan penanda",
+      "cluster.label": "{category}: {count}, tekan Enter untuk memperbesar",
+      "filter.openNow": "Hanya yang buka sekarang",
+      "legend.title": "Legenda",
+      "legend.active": "Layer aktif",
+      "legend.hidden": "Layer disembunyikan",
+
+      // Roads
+      "road.unnamed": "Jalan Tidak Dikenal",
+      "road.description": "Jaringan transportasi",
+      "road.network": "Jaringan Jalan",
+
+      // Popups and info panel
+      "info.title": "Informasi",
+      "info.hint": "Klik pada penanda untuk melihat detail fasilitas.",
+      "info.empty": "Pilih fasilitas untuk melihat informasi detail.",
+      "hours.open": "Buka",
+      "hours.closed": "Tutup",
+      "hours.allDay": "Buka 24 jam",
+      "hours.today": "Hari ini: {hours}",
+      "hours.noData": "Belum ada fasilitas dengan data jam buka",
+      "hours.openCount":
+        "{open} dari {count} fasilitas dengan jam buka sedang buka",
+      "gallery.title": "Galeri foto",
+      "gallery.previous": "Foto sebelumnya",
+      "gallery.next": "Foto berikutnya",
+      "gallery.viewPhotos": "Lihat {count} foto {name}",
+      "gallery.photoOf": "Foto {index} dari {count}",
+      "gallery.photoAlt": "Foto {name}",
+
+      // Refresh
+      "refresh.offline":
+        "Server tidak dapat dihubungi, menampilkan data terakhir",
+      "refresh.upToDate": "Peta sudah menampilkan data terbaru",
+      "refresh.updated":
+        "Peta diperbarui: {added} baru, {updated} diubah, {removed} dihapus",
+      "refresh.failed": "Gagal memperbarui peta",
+
+      // Location
+      "location.mine": "Lokasi Saya",
+      "location.picked": "Titik pilihan",
+      "location.unsupported": "Browser tidak mendukung geolokasi",
+      "location.failed": "Gagal mendapatkan lokasi Anda",
+
+      // Accessibility and list view
+      "a11y.title": "Aksesibilitas",
+      "a11y.highContrast": "Kontras tinggi dan penanda besar",
+      "list.show": "Tampilan Daftar Fasilitas",
+      "list.title": "Daftar Fasilitas",
+      "list.summary": "{count} fasilitas pada layer yang aktif",
+      "list.empty": "Tidak ada fasilitas pada layer yang aktif",
+
+      // Routing
+      "route.title": "Rute",
+      "route.fromLabel": "Dari",
+      "route.toLabel": "Ke",
+      "route.startPlaceholder": "Pilih titik awal...",
+      "route.endPlaceholder": "Pilih tujuan...",
+      "route.find": "Cari Rute",
+      "route.clear": "Hapus rute",
+      "route.selectPoints": "Pilih titik awal dan tujuan rute",
+      "route.notFound": "Rute tidak ditemukan pada jaringan jalan",
+      "route.failed": "Gagal menghitung rute",
+      "route.facilityNotFound": "Fasilitas tidak ditemukan",
+      "route.tooFar": "Lokasi terlalu jauh dari jaringan jalan Cirendeu",
+      "route.from": "Dari: {label}",
+      "route.to": "Ke: {label}",
+      "route.distance": "Jarak",
+      "route.walking": "Jalan kaki",
+      "route.riding": "Motor",
+      "route.note":
+        "{road} melalui jaringan jalan, {access} menuju/dari jalan terdekat.",
+      "route.gapNote":
+        "Termasuk {gap} di luar jalan yang terdata (garis putus-putus abu-abu).",
+      "duration.minutes": "{minutes} menit",
+      "duration.hours": "{hours} jam",
+      "duration.hoursMinutes": "{hours} jam {minutes} menit",
+
+      // Nearest facilities
+      "nearest.title": "Terdekat",
+      "nearest.show": "Tampilkan",
+      "nearest.perCategory": "per kategori",
+      "nearest.pickHint": "Klik pada peta untuk memilih titik asal",
+      "nearest.viaRoad": "via jalan",
+
+      // Radius analysis
+      "buffer.title": "Analisis Radius",
+      "buffer.radius": "Radius",
+      "buffer.meters": "meter",
+      "buffer.selected": "Fasilitas Terpilih",
+      "buffer.clear": "Hapus radius",
+      "buffer.pickHint": "Klik pada peta untuk menentukan pusat radius",
+      "buffer.selectFirst": "Pilih fasilitas di peta terlebih dahulu",
+      "buffer.caption": "Radius {radius} dari {label}: {count} fasilitas",
+      "buffer.showAll": "Tampilkan statistik keseluruhan",
+      "buffer.empty": "Belum ada analisis radius",
+
+      // Measurement
+      "measure.title": "Ukur",
+      "measure.distance": "Jarak",
+      "measure.area": "Luas",
+      "measure.snap": "Tempelkan titik ke jalan",
+      "measure.finish": "Selesai",
+      "measure.copy": "Salin hasil",
+      "measure.clear": "Hapus pengukuran",
+      "measure.start":
+        "Klik peta untuk menambah titik, klik dua kali untuk selesai",
+      "measure.areaSummary":
+        "Luas: {area} m² ({hectares} ha), keliling {perimeter}",
+      "measure.distanceSummary": "Jarak: {distance}",
+      "measure.points": "{count} titik",
+      "measure.finishHint": "klik dua kali untuk selesai",
+      "measure.copied": "Hasil pengukuran disalin",
+      "draw.minPoints": "Tambahkan minimal {count} titik sebelum selesai",
+
+      // Sketches
+      "sketch.layerName": "Sketsa",
+      "sketch.nameLabel": "Nama",
+      "sketch.saveAs": "Simpan dengan nama ini",
+      "sketch.tool.titik": "Titik",
+      "sketch.tool.garis": "Garis",
+      "sketch.tool.panah": "Panah",
+      "sketch.tool.poligon": "Poligon",
+      "sketch.tool.teks": "Teks",
+      "sketch.tool.hapus": "Hapus objek",
+      "sketch.new": "Baru",
+      "sketch.export": "Ekspor",
+      "sketch.import": "Impor",
+      "sketch.delete": "Hapus sketsa",
+      "sketch.hint.titik": "Klik peta untuk menandai lokasi.",
+      "sketch.hint.teks": "Klik peta lalu ketik teks label.",
+      "sketch.hint.garis":
+        "Klik untuk menambah titik, klik dua kali untuk selesai.",
+      "sketch.hint.panah":
+        "Klik untuk menambah titik, klik dua kali untuk selesai.",
+      "sketch.hint.poligon":
+        "Klik untuk menambah titik, klik dua kali untuk selesai.",
+      "sketch.hint.hapus": "Klik objek sketsa untuk menghapusnya.",
+      "sketch.objectCount": "{count} objek dalam sketsa ini.",
+      "sketch.labelPrompt": "Teks label:",
+      "sketch.storageFailed": "Sketsa gagal disimpan di browser",
+      "sketch.nameRequired": "Isi nama sketsa terlebih dahulu",
+      "sketch.saved": 'Sketsa "{name}" disimpan',
+      "sketch.confirmOverwrite": 'Sketsa "{name}" sudah ada. Timpa?',
+      "sketch.confirmDelete": 'Hapus sketsa "{name}"?',
+      "sketch.empty": "Sketsa masih kosong",
+      "sketch.noFeatures": "Tidak ada titik, garis atau poligon dalam file ini",
+      "sketch.imported": '{count} objek diimpor ke "{name}"',
+      "sketch.invalidFile": "File GeoJSON tidak valid",
+
+      // Service areas and heatmap
+      "catchment.layerName": "Area Layanan",
+      "catchment.categoryTitle": "Kategori area layanan",
+      "catchment.popup": "Area Layanan {category}",
+      "heatmap.layerName": "Kepadatan Fasilitas",
+      "heatmap.title": "Peta Kepadatan",
+      "heatmap.show": "Tampilkan Kepadatan",
+      "heatmap.type": "Jenis",
+      "heatmap.radius": "Radius",
+      "heatmap.intensity": "Intensitas",
+
+      // Export
+      "export.title": "Ekspor Data",
+      "export.hint": "Fasilitas dari layer yang aktif di area peta saat ini.",
+      "export.format": "Format",
+      "export.button": "Ekspor Fasilitas",
+      "export.unknownFormat": "Format ekspor tidak dikenal",
+      "export.empty": "Tidak ada fasilitas yang tampil di area peta",
+      "export.done": "{count} fasilitas diekspor",
+      "export.documentName": "Fasilitas Kelurahan Cirendeu",
+
+      // Print
+      "print.title": "Cetak Peta",
+      "print.titleLabel": "Judul",
+      "print.paper": "Kertas",
+      "print.orientation": "Arah",
+      "print.landscape": "Lanskap",
+      "print.portrait": "Potret",
+      "print.defaultTitle": "Peta Fasilitas Kelurahan Cirendeu",
+      "print.preparing": "Menyiapkan peta untuk dicetak...",
+      "print.done": "Peta berhasil dibuat",
+      "print.failed": "Gagal membuat peta cetak",
+      "print.footer":
+        "Sumber data: Kelurahan Cirendeu · Peta dasar: {attribution}",
+      "print.north": "U",
+
+      // Offline
+      "offline.title": "Mode Offline",
+      "offline.hint":
+        "Simpan peta, data fasilitas dan foto untuk dipakai tanpa sinyal.",
+      "offline.zoom": "Zoom",
+      "offline.zoomTo": "s/d",
+      "offline.download": "Unduh untuk Offline",
+      "offline.unsupported": "Browser tidak mendukung mode offline",
+      "offline.estimate": "{tiles} ubin peta (± {size} MB)",
+      "offline.failed": "Gagal menyiapkan mode offline",
+      "offline.progress": "Mengunduh {done} / {total}...",
+      "offline.finished": "Selesai: {saved} dari {total} berkas tersimpan",
+      "offline.partial":
+        "{failed} berkas gagal diunduh, coba lagi saat sinyal lebih baik",
+      "offline.ready": "Peta siap digunakan tanpa internet",
+
+      // Statistics
+      "stats.title": "Statistik Data",
+      "stats.loading": "Memuat statistik...",
+
+      // Facility browser
+      "browse.title": "Jelajahi Fasilitas",
+      "browse.sortLabel": "Urutkan",
+      "browse.sort.name": "Nama",
+      "browse.sort.category": "Kategori",
+      "browse.sort.distance": "Jarak",
+      "browse.originLabel": "Dari",
+      "browse.origin.center": "Tengah peta",
+      "browse.summary": {
+        one: "1 fasilitas di area peta",
+        other: "{from}–{to} dari {count} fasilitas di area peta",
+      },
+      "browse.empty": "Tidak ada fasilitas pada layer aktif di area peta ini",
+      "browse.prev": "Halaman sebelumnya",
+      "browse.next": "Halaman berikutnya",
+      "browse.page": "{page} / {pages}",
+
+      // Admin links and session
+      "admin.title": "Admin",
+      "admin.login": "Login Admin",
+      "admin.loginTitle": "Login sebagai Admin",
+      "admin.dashboard": "Dashboard Admin",
+      "admin.manageFacilities": "Kelola Fasilitas",
+      "admin.logout": "Logout",
+      "admin.logoutAs": "Logout ({name})",
+      "admin.confirmLogout": "Apakah Anda yakin ingin logout?",
+      "admin.logoutSuccess": "Logout berhasil",
+      "admin.logoutFailed": "Gagal logout",
+      "admin.backToMap": "Kembali ke Peta Publik",
+      "nav.dashboard": "Dashboard",
+      "nav.facilities": "Data Fasilitas",
+      "nav.publicMap": "Lihat Peta Publik",
+
+      // Admin login
+      "login.pageTitle": "Login Admin - GIS Cirendeu",
+      "login.title": "Admin Login",
+      "login.subtitle": "Sistem Informasi Geografis Cirendeu",
+      "login.email": "Email",
+      "login.emailPlaceholder": "Masukkan email admin",
+      "login.password": "Password",
+      "login.passwordPlaceholder": "Masukkan password",
+      "login.submit": "Masuk",
+      "login.loading": "Sedang login...",
+      "login.forgot": "Lupa password?",
+      "login.forgotMessage":
+        "Fitur reset password belum tersedia.\n\nSilakan hubungi administrator sistem untuk reset password.\n\nEmail: {email}",
+      "login.success": "Login berhasil! Mengalihkan ke dashboard...",
+      "login.alreadyLoggedIn": "Anda sudah login. Mengalihkan ke dashboard...",
+      "login.failed": "Login gagal. Silakan coba lagi.",
+      "login.connectionError": "Terjadi kesalahan koneksi. Silakan coba lagi.",
+      "login.emailRequired": "Email wajib diisi",
+      "login.emailInvalid": "Format email tidak valid",
+      "login.passwordRequired": "Password wajib diisi",
+      "login.passwordShort": "Password minimal {count} karakter",
+
+      // Admin dashboard
+      "dashboard.pageTitle": "Dashboard Admin - GIS Cirendeu",
+      "dashboard.title": "Dashboard",
+      "dashboard.loading": "Memuat data dashboard...",
+      "dashboard.total": "Total Fasilitas",
+      "dashboard.quickActions": "Aksi Cepat",
+      "dashboard.addNew": "Tambah Fasilitas Baru",
+      "dashboard.manage": "Kelola Data Fasilitas",
+      "dashboard.preview": "Preview Peta Publik",
+      "dashboard.recent": "Aktivitas Terbaru",
+      "dashboard.migrated": "Sistem berhasil dimigrasikan",
+      "dashboard.migratedDetail":
+        "Data fasilitas telah dimigrasikan ke database",
+
+      // Admin facility management
+      "facilities.pageTitle": "Kelola Fasilitas - GIS Cirendeu",
+      "facilities.add": "Tambah Fasilitas",
+      "facilities.edit": "Edit Fasilitas",
+      "facilities.search": "Cari Fasilitas",
+      "facilities.searchPlaceholder": "Nama, alamat, atau deskripsi...",
+      "facilities.category": "Kategori",
+      "facilities.show": "Tampilkan",
+      "facilities.perPage": "{count} per halaman",
+      "facilities.filter": "Filter",
+      "facilities.list": "Daftar Fasilitas",
+      "facilities.export": "Export",
+      "facilities.loading": "Memuat data fasilitas...",
+      "facilities.photo": "Foto",
+      "facilities.name": "Nama Fasilitas",
+      "facilities.address": "Alamat",
+      "facilities.coordinates": "Koordinat",
+      "facilities.actions": "Aksi",
+      "facilities.emptyTitle": "Tidak ada data fasilitas",
+      "facilities.emptyText":
+        "Belum ada fasilitas yang sesuai dengan kriteria pencarian Anda.",
+      "facilities.addFirst": "Tambah Fasilitas Pertama",
+      "facilities.total": "({count} total)",
+      "facilities.pagination": "Menampilkan {start}-{end} dari {total} data",
+      "facilities.loadFailed": "Gagal memuat data fasilitas",
+      "facilities.loadOneFailed": "Gagal memuat data fasilitas: {error}",
+      "facilities.created": "Fasilitas berhasil ditambahkan",
+      "facilities.updated": "Fasilitas berhasil diupdate",
+      "facilities.saveFailed": "Gagal menyimpan data",
+      "facilities.confirmDelete":
+        'Apakah Anda yakin ingin menghapus fasilitas "{name}"?\n\nTindakan ini tidak dapat dibatalkan.',
+      "facilities.deleting": "Menghapus fasilitas...",
+      "facilities.deleted": "Fasilitas berhasil dihapus",
+      "facilities.deleteFailed": "Gagal menghapus fasilitas: {error}",
+      "form.name": "Nama Fasilitas *",
+      "form.category": "Kategori *",
+      "form.chooseCategory": "Pilih Kategori",
+      "form.phone": "Telepon",
+      "form.website": "Website",
+      "form.hours": "Jam Buka",
+      "form.hoursHint":
+        "Format 08:00-16:00, pisahkan beberapa rentang dengan koma. Kosongkan hari libur, atau semua hari jika jam buka belum diketahui.",
+      "form.hoursExample": "Contoh: 08:00-12:00, 13:00-16:00",
+      "form.copyMonday": "Samakan Selasa–Jumat dengan Senin",
+      "form.address": "Alamat",
+      "form.addressPlaceholder": "Alamat lengkap fasilitas",
+      "form.description": "Deskripsi",
+      "form.descriptionPlaceholder": "Deskripsi singkat tentang fasilitas",
+      "form.photos": "Foto",
+      "form.photosHint":
+        "Format: JPG, PNG, GIF. Maksimal 5MB per foto dan 10 foto per fasilitas. Foto pertama menjadi foto utama.",
+      "form.required":
+        "Nama fasilitas, kategori, latitude, dan longitude harus diisi.",
+      "day.senin": "Senin",
+      "day.selasa": "Selasa",
+      "day.rabu": "Rabu",
+      "day.kamis": "Kamis",
+      "day.jumat": "Jumat",
+      "day.sabtu": "Sabtu",
+      "day.minggu": "Minggu",
+      "photos.max": "Maksimal {count} foto per fasilitas",
+      "photos.newTitle": "Foto baru (diunggah saat disimpan)",
+      "photos.currentTitle": "Foto saat ini",
+      "photos.captionPlaceholder": "Keterangan foto",
+      "photos.cancelUpload": "Batal unggah",
+      "photos.moveUp": "Naikkan",
+      "photos.moveDown": "Turunkan",
+      "photos.delete": "Hapus foto",
+      "photos.confirmDelete":
+        "Apakah Anda yakin ingin menghapus foto ini?\n\nTindakan ini tidak dapat dibatalkan.",
+      "photos.deleted": "Foto berhasil dihapus",
+      "photos.deleteFailed": "Gagal menghapus foto: {error}",
+      "photos.orderFailed": "Gagal menyimpan urutan foto",
+    },
+
+    en: {
+      "app.title": "Cirendeu Facility Map",
+      "language.label": "Language",
+
+      "category.masjid": "Mosques",
+      "category.pendidikan": "Education",
+      "category.kesehatan": "Health",
+      "category.prasarana-umum": "Public Infrastructure",
+      "category.fasilitas-publik": "Public Facilities",
+      "category.jalan": "Roads",
+      "category.masjid.description": "Place of worship for Muslims",
+      "category.pendidikan.description": "School or learning institution",
+      "category.kesehatan.description": "Health care facility",
+      "category.prasarana-umum.description":
+        "Public infrastructure and utilities",
+      "category.fasilitas-publik.description": "Public service facility",
+      "category.default.description": "Public facility",
+      "category.all": "All Categories",
+      "facility.unnamed": "Unknown",
+
+      "common.close": "Close",
+      "common.cancel": "Cancel",
+      "common.save": "Save",
+      "common.update": "Update",
+      "common.saving": "Saving...",
+      "common.edit": "Edit",
+      "common.delete": "Delete",
+      "common.loading": "Loading...",
+      "common.pickOnMap": "Pick on Map",
+      "common.exportGeojson": "Export GeoJSON",
+
+      "error.appLoad":
+        "Could not load the application. Please reload the page.",
+      "error.roadData": "Road data could not be loaded",
+      "error.categories": "Facility categories could not be loaded",
+      "error.layers": "Could not load the map layers",
+      "status.fallback":
+        "The data server cannot be reached. Showing backup data from files.",
+      "status.cached": "Offline mode: showing saved data ({date}).",
+      "status.earlier": "earlier",
+      "status.offline": "You are offline. The data may not be up to date.",
+      "loading.map": "Loading map...",
+
+      "search.placeholder": "Search facilities or roads...",
+      "search.noResults": "No results found",
+      "layers.title": "Layers",
+      "layers.adjust": "Adjust",
+      "layers.forward": "Bring forward",
+      "layers.backward": "Send backward",
+      "layers.opacity": "Opacity",
+      "cluster.toggle": "Marker clustering",
+      "cluster.enable": "Turn on marker clustering",
+      "cluster.disable": "Turn off marker clustering",
+      "cluster.label": "{category}: {count}, press Enter to zoom in",
+      "filter.openNow": "Open now only",
+      "legend.title": "Legend",
+      "legend.active": "Layer shown",
+      "legend.hidden": "Layer hidden",
+
+      "road.unnamed": "Unnamed Road",
+      "road.description": "Transport network",
+      "road.network": "Road Network",
+
+      "info.title": "Information",
+      "info.hint": "Click a marker to see the facility details.",
+      "info.empty": "Select a facility to see its details.",
+      "hours.open": "Open",
+      "hours.closed": "Closed",
+      "hours.allDay": "Open 24 hours",
+      "hours.today": "Today: {hours}",
+      "hours.noData": "No facility has opening hours yet",
+      "hours.openCount":
+        "{open} of {count} facilities with opening hours are open",
+      "gallery.title": "Photo gallery",
+      "gallery.previous": "Previous photo",
+      "gallery.next": "Next photo",
+      "gallery.viewPhotos": {
+        one: "View 1 photo of {name}",
+        other: "View {count} photos of {name}",
+      },
+      "gallery.photoOf": "Photo {index} of {count}",
+      "gallery.photoAlt": "Photo of {name}",
+
+      "refresh.offline": "The server cannot be reached, showing the last data",
+      "refresh.upToDate": "The map already shows the latest data",
+      "refresh.updated":
+        "Map updated: {added} new, {updated} changed, {removed} removed",
+      "refresh.failed": "Could not update the map",
+
+      "location.mine": "My Location",
+      "location.picked": "Chosen point",
+      "location.unsupported": "This browser does not support geolocation",
+      "location.failed": "Could not get your location",
+
+      "a11y.title": "Accessibility",
+      "a11y.highContrast": "High contrast and large markers",
+      "list.show": "Facility List View",
+      "list.title": "Facility List",
+      "list.summary": {
+        one: "1 facility on the active layers",
+        other: "{count} facilities on the active layers",
+      },
+      "list.empty": "No facilities on the active layers",
+
+      "route.title": "Route",
+      "route.fromLabel": "From",
+      "route.toLabel": "To",
+      "route.startPlaceholder": "Choose a starting point...",
+      "route.endPlaceholder": "Choose a destination...",
+      "route.find": "Find Route",
+      "route.clear": "Clear route",
+      "route.selectPoints": "Choose a starting point and a destination",
+      "route.notFound": "No route found on the road network",
+      "route.failed": "Could not calculate the route",
+      "route.facilityNotFound": "Facility not found",
+      "route.tooFar": "The location is too far from the Cirendeu road network",
+      "route.from": "From: {label}",
+      "route.to": "To: {label}",
+      "route.distance": "Distance",
+      "route.walking": "Walking",
+      "route.riding": "Motorbike",
+      "route.note":
+        "{road} along the road network, {access} to/from the nearest road.",
+      "route.gapNote":
+        "Includes {gap} off the mapped roads (grey dashed line).",
+      "duration.minutes": "{minutes} min",
+      "duration.hours": "{hours} h",
+      "duration.hoursMinutes": "{hours} h {minutes} min",
+
+      "nearest.title": "Nearest",
+      "nearest.show": "Show",
+      "nearest.perCategory": "per category",
+      "nearest.pickHint": "Click the map to choose the starting point",
+      "nearest.viaRoad": "by road",
+
+      "buffer.title": "Radius Analysis",
+      "buffer.radius": "Radius",
+      "buffer.meters": "metres",
+      "buffer.selected": "Selected Facility",
+      "buffer.clear": "Clear radius",
+      "buffer.pickHint": "Click the map to set the centre of the radius",
+      "buffer.selectFirst": "Select a facility on the map first",
+      "buffer.caption": {
+        one: "Radius {radius} from {label}: 1 facility",
+        other: "Radius {radius} from {label}: {count} facilities",
+      },
+      "buffer.showAll": "Show overall statistics",
+      "buffer.empty": "No radius analysis yet",
+
+      "measure.title": "Measure",
+      "measure.distance": "Distance",
+      "measure.area": "Area",
+      "measure.snap": "Snap points to roads",
+      "measure.finish": "Finish",
+      "measure.copy": "Copy result",
+      "measure.clear": "Clear measurement",
+      "measure.start": "Click the map to add points, double-click to finish",
+      "measure.areaSummary":
+        "Area: {area} m² ({hectares} ha), perimeter {perimeter}",
+      "measure.distanceSummary": "Distance: {distance}",
+      "measure.points": { one: "1 point", other: "{count} points" },
+      "measure.finishHint": "double-click to finish",
+      "measure.copied": "Measurement copied",
+      "draw.minPoints": "Add at least {count} points before finishing",
+
+      "sketch.layerName": "Sketch",
+      "sketch.nameLabel": "Name",
+      "sketch.saveAs": "Save under this name",
+      "sketch.tool.titik": "Point",
+      "sketch.tool.garis": "Line",
+      "sketch.tool.panah": "Arrow",
+      "sketch.tool.poligon": "Polygon",
+      "sketch.tool.teks": "Text",
+      "sketch.tool.hapus": "Erase object",
+      "sketch.new": "New",
+      "sketch.export": "Export",
+      "sketch.import": "Import",
+      "sketch.delete": "Delete sketch",
+      "sketch.hint.titik": "Click the map to mark a location.",
+      "sketch.hint.teks": "Click the map, then type the label text.",
+      "sketch.hint.garis": "Click to add points, double-click to finish.",
+      "sketch.hint.panah": "Click to add points, double-click to finish.",
+      "sketch.hint.poligon": "Click to add points, double-click to finish.",
+      "sketch.hint.hapus": "Click a sketch object to erase it.",
+      "sketch.objectCount": {
+        one: "1 object in this sketch.",
+        other: "{count} objects in this sketch.",
+      },
+      "sketch.labelPrompt": "Label text:",
+      "sketch.storageFailed": "The sketch could not be saved in the browser",
+      "sketch.nameRequired": "Enter a sketch name first",
+      "sketch.saved": 'Sketch "{name}" saved',
+      "sketch.confirmOverwrite": 'Sketch "{name}" already exists. Overwrite?',
+      "sketch.confirmDelete": 'Delete sketch "{name}"?',
+      "sketch.empty": "The sketch is empty",
+      "sketch.noFeatures": "This file has no points, lines or polygons",
+      "sketch.imported": {
+        one: '1 object imported into "{name}"',
+        other: '{count} objects imported into "{name}"',
+      },
+      "sketch.invalidFile": "Invalid GeoJSON file",
+
+      "catchment.layerName": "Service Areas",
+      "catchment.categoryTitle": "Service area category",
+      "catchment.popup": "{category} service area",
+      "heatmap.layerName": "Facility Density",
+      "heatmap.title": "Density Map",
+      "heatmap.show": "Show Density",
+      "heatmap.type": "Type",
+      "heatmap.radius": "Radius",
+      "heatmap.intensity": "Intensity",
+
+      "export.title": "Export Data",
+      "export.hint":
+        "Facilities from the active layers in the current map view.",
+      "export.format": "Format",
+      "export.button": "Export Facilities",
+      "export.unknownFormat": "Unknown export format",
+      "export.empty": "No facilities are shown in the map view",
+      "export.done": {
+        one: "1 facility exported",
+        other: "{count} facilities exported",
+      },
+      "export.documentName": "Cirendeu Village Facilities",
+
+      "print.title": "Print Map",
+      "print.titleLabel": "Title",
+      "print.paper": "Paper",
+      "print.orientation": "Orientation",
+      "print.landscape": "Landscape",
+      "print.portrait": "Portrait",
+      "print.defaultTitle": "Cirendeu Village Facility Map",
+      "print.preparing": "Preparing the map for printing...",
+      "print.done": "Map created",
+      "print.failed": "Could not create the printed map",
+      "print.footer":
+        "Data source: Kelurahan Cirendeu · Base map: {attribution}",
+      "print.north": "N",
+
+      "offline.title": "Offline Mode",
+      "offline.hint":
+        "Save the map, facility data and photos for use without signal.",
+      "offline.zoom": "Zoom",
+      "offline.zoomTo": "to",
+      "offline.download": "Download for Offline",
+      "offline.unsupported": "This browser does not support offline mode",
+      "offline.estimate": "{tiles} map tiles (± {size} MB)",
+      "offline.failed": "Could not prepare offline mode",
+      "offline.progress": "Downloading {done} / {total}...",
+      "offline.finished": "Done: {saved} of {total} files saved",
+      "offline.partial": {
+        one: "1 file failed to download, try again with a better signal",
+        other:
+          "{failed} files failed to download, try again with a better signal",
+      },
+      "offline.ready": "The map is ready to use without internet",
+
+      "stats.title": "Data Statistics",
+      "stats.loading": "Loading statistics...",
+
+      "browse.title": "Browse Facilities",
+      "browse.sortLabel": "Sort by",
+      "browse.sort.name": "Name",
+      "browse.sort.category": "Category",
+      "browse.sort.distance": "Distance",
+      "browse.originLabel": "From",
+      "browse.origin.center": "Map center",
+      "browse.summary": {
+        one: "1 facility in the map area",
+        other: "{from}–{to} of {count} facilities in the map area",
+      },
+      "browse.empty": "No facilities on the active layers in this map area",
+      "browse.prev": "Previous page",
+      "browse.next": "Next page",
+      "browse.page": "{page} / {pages}",
+
+      "admin.title": "Admin",
+      "admin.login": "Admin Login",
+      "admin.loginTitle": "Log in as admin",
+      "admin.dashboard": "Admin Dashboard",
+      "admin.manageFacilities": "Manage Facilities",
+      "admin.logout": "Log out",
+      "admin.logoutAs": "Log out ({name})",
+      "admin.confirmLogout": "Are you sure you want to log out?",
+      "admin.logoutSuccess": "Logged out",
+      "admin.logoutFailed": "Could not log out",
+      "admin.backToMap": "Back to Public Map",
+      "nav.dashboard": "Dashboard",
+      "nav.facilities": "Facility Data",
+      "nav.publicMap": "View Public Map",
+
+      "login.pageTitle": "Admin Login - GIS Cirendeu",
+      "login.title": "Admin Login",
+      "login.subtitle": "Cirendeu Geographic Information System",
+      "login.email": "Email",
+      "login.emailPlaceholder": "Enter admin email",
+      "login.password": "Password",
+      "login.passwordPlaceholder": "Enter password",
+      "login.submit": "Log in",
+      "login.loading": "Logging in...",
+      "login.forgot": "Forgot password?",
+      "login.forgotMessage":
+        "Password reset is not available yet.\n\nPlease contact the system administrator to reset your password.\n\nEmail: {email}",
+      "login.success": "Login successful! Redirecting to the dashboard...",
+      "login.alreadyLoggedIn":
+        "You are already logged in. Redirecting to the dashboard...",
+      "login.failed": "Login failed. Please try again.",
+      "login.connectionError": "A connection error occurred. Please try again.",
+      "login.emailRequired": "Email is required",
+      "login.emailInvalid": "Invalid email format",
+      "login.passwordRequired": "Password is required",
+      "login.passwordShort": "Password must be at least {count} characters",
+
+      "dashboard.pageTitle": "Admin Dashboard - GIS Cirendeu",
+      "dashboard.title": "Dashboard",
+      "dashboard.loading": "Loading dashboard data...",
+      "dashboard.total": "Total Facilities",
+      "dashboard.quickActions": "Quick Actions",
+      "dashboard.addNew": "Add New Facility",
+      "dashboard.manage": "Manage Facility Data",
+      "dashboard.preview": "Preview Public Map",
+      "dashboard.recent": "Recent Activity",
+      "dashboard.migrated": "System migrated successfully",
+      "dashboard.migratedDetail":
+        "Facility data has been migrated to the database",
+
+      "facilities.pageTitle": "Manage Facilities - GIS Cirendeu",
+      "facilities.add": "Add Facility",
+      "facilities.edit": "Edit Facility",
+      "facilities.search": "Search Facilities",
+      "facilities.searchPlaceholder": "Name, address or description...",
+      "facilities.category": "Category",
+      "facilities.show": "Show",
+      "facilities.perPage": "{count} per page",
+      "facilities.filter": "Filter",
+      "facilities.list": "Facility List",
+      "facilities.export": "Export",
+      "facilities.loading": "Loading facility data...",
+      "facilities.photo": "Photo",
+      "facilities.name": "Facility Name",
+      "facilities.address": "Address",
+      "facilities.coordinates": "Coordinates",
+      "facilities.actions": "Actions",
+      "facilities.emptyTitle": "No facility data",
+      "facilities.emptyText": "No facilities match your search criteria.",
+      "facilities.addFirst": "Add the First Facility",
+      "facilities.total": "({count} total)",
+      "facilities.pagination": "Showing {start}-{end} of {total} records",
+      "facilities.loadFailed": "Could not load facility data",
+      "facilities.loadOneFailed": "Could not load facility data: {error}",
+      "facilities.created": "Facility added",
+      "facilities.updated": "Facility updated",
+      "facilities.saveFailed": "Could not save the data",
+      "facilities.confirmDelete":
+        'Are you sure you want to delete the facility "{name}"?\n\nThis cannot be undone.',
+      "facilities.deleting": "Deleting facility...",
+      "facilities.deleted": "Facility deleted",
+      "facilities.deleteFailed": "Could not delete the facility: {error}",
+      "form.name": "Facility Name *",
+      "form.category": "Category *",
+      "form.chooseCategory": "Choose Category",
+      "form.phone": "Phone",
+      "form.website": "Website",
+      "form.hours": "Opening Hours",
+      "form.hoursHint":
+        "Format 08:00-16:00, separate several ranges with commas. Leave days off empty, or every day if the opening hours are unknown.",
+      "form.hoursExample": "Example: 08:00-12:00, 13:00-16:00",
+      "form.copyMonday": "Copy Monday to Tuesday–Friday",
+      "form.address": "Address",
+      "form.addressPlaceholder": "Full address of the facility",
+      "form.description": "Description",
+      "form.descriptionPlaceholder": "Short description of the facility",
+      "form.photos": "Photos",
+      "form.photosHint":
+        "Format: JPG, PNG, GIF. Up to 5MB per photo and 10 photos per facility. The first photo is the main photo.",
+      "form.required":
+        "Facility name, category, latitude and longitude are required.",
+      "day.senin": "Monday",
+      "day.selasa": "Tuesday",
+      "day.rabu": "Wednesday",
+      "day.kamis": "Thursday",
+      "day.jumat": "Friday",
+      "day.sabtu": "Saturday",
+      "day.minggu": "Sunday",
+      "photos.max": "Up to {count} photos per facility",
+      "photos.newTitle": "New photos (uploaded on save)",
+      "photos.currentTitle": "Current photos",
+      "photos.captionPlaceholder": "Photo caption",
+      "photos.cancelUpload": "Cancel upload",
+      "photos.moveUp": "Move up",
+      "photos.moveDown": "Move down",
+      "photos.delete": "Delete photo",
+      "photos.confirmDelete":
+        "Are you sure you want to delete this photo?\n\nThis cannot be undone.",
+      "photos.deleted": "Photo deleted",
+      "photos.deleteFailed": "Could not delete the photo: {error}",
+      "photos.orderFailed": "Could not save the photo order",
+    },
+  },
+};
+
+function getLanguage() {
+  if (!I18N.language) {
+    let stored = null;
+    try {
+      stored = localStorage.getItem(I18N.storageKey);
+    } catch (error) {
+      console.warn("Could not read language preference:", error);
+    }
+    I18N.language = stored in I18N.messages ? stored : I18N.defaultLanguage;
+  }
+  return I18N.language;
+}
+
+function getLocale() {
+  return I18N.locales[getLanguage()];
+}
+
+// Pages render their text once, so a new language takes effect on reload;
+// the map view survives through the permalink hash
+function setLanguage(language) {
+  if (!(language in I18N.messages) || language === getLanguage()) return;
+
+  try {
+    localStorage.setItem(I18N.storageKey, language);
+  } catch (error) {
+    console.warn("Could not save language preference:", error);
+  }
+  window.location.reload();
+}
+
+function hasTranslation(key) {
+  return (
+    key in I18N.messages[getLanguage()] ||
+    key in I18N.messages[I18N.defaultLanguage]
+  );
+}
+
+/**
+ * Looks up a message in the current language (falling back to Indonesian)
+ * and fills in {name} placeholders. Messages with {one, other} forms are
+ * picked by params.count.
+ */
+function t(key, params = {}) {
+  let message =
+    I18N.messages[getLanguage()][key] ??
+    I18N.messages[I18N.defaultLanguage][key];
+
+  if (message === undefined) {
+    console.warn(`Missing translation: ${key}`);
+    return key;
+  }
+  if (typeof message === "object") {
+    message = params.count === 1 ? message.one : message.other;
+  }
+
+  return message.replace(/\{(\w+)\}/g, (match, name) =>
+    name in params ? params[name] : match
+  );
+}
+
+// kategori values are stored in Indonesian ("Prasarana Umum"); unknown
+// categories are shown as they are
+function translateCategory(kategori) {
+  const key = `category.${String(kategori || "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, "-")}`;
+  return hasTranslation(key) ? t(key) : kategori;
+}
+
+/**
+ * Fills static markup from data-i18n (text), data-i18n-placeholder,
+ * data-i18n-title and data-i18n-aria-label attributes. Placeholder values
+ * go in data-i18n-params as JSON.
+ */
+function applyTranslations(root = document) {
+  const attributes = {
+    i18nPlaceholder: "placeholder",
+    i18nTitle: "title",
+    i18nAriaLabel: "aria-label",
+  };
+
+  root
+    .querySelectorAll(
+      "[data-i18n], [data-i18n-placeholder], [data-i18n-title], [data-i18n-aria-label]"
+    )
+    .forEach((element) => {
+      const params = element.dataset.i18nParams
+        ? JSON.parse(element.dataset.i18nParams)
+        : {};
+
+      if (element.dataset.i18n) {
+        element.textContent = t(element.dataset.i18n, params);
+      }
+      Object.entries(attributes).forEach(([dataKey, attribute]) => {
+        if (element.dataset[dataKey]) {
+          element.setAttribute(attribute, t(element.dataset[dataKey], params));
+        }
+      });
+    });
+}
+
+function setupLanguageSwitcher(root = document) {
+  const language = getLanguage();
+
+  root.querySelectorAll("[data-language]").forEach((button) => {
+    const active = button.dataset.language === language;
+    button.classList.toggle("active", active);
+    button.setAttribute("aria-pressed", String(active));
+    button.addEventListener("click", () =>
+      setLanguage(button.dataset.language)
+    );
+  });
+}
+
+/**
+ * ===============================================
+ * INITIALIZATION
+ * ===============================================
+ */
+document.documentElement.lang = getLanguage();
+
+// Loaded at the end of <body>, so the markup is already there
+applyTranslations();
+setupLanguageSwitcher();
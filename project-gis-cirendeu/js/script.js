@@ -11,12 +11,41 @@ class GISCirendeuApp {
     this.map = null;
     this.layers = {};
     this.layerGroups = {};
+    this.clusterGroups = {};
+    this.selectedMarker = null;
+    this.roadGraph = null;
+    this.routeLayer = null;
+    this.userLocation = null;
+    this.nearestLayer = null;
+    this.nearestOrigin = null;
+    this.nearestLink = null;
+    this.nearestResults = [];
+    this.mapPick = null;
+    this.bufferAnalysis = null;
+    this.bufferLayer = null;
+    this.catchmentLayer = null;
+    this.measurement = null;
+    this.measureLayer = null;
+    this.sketch = null;
+    this.sketchLayer = null;
+    this.sketchDraw = null;
+    this.gallery = null;
+    this.openNowOnly = false;
+    this.openNowTimer = null;
+    this.heatmapLayer = null;
+    this.permalinkState = null;
+    this.dataStatus = { source: "live", cachedAt: null };
+    this.permalinkReady = false;
+    this.schedulePermalinkUpdate = null;
     this.baseMaps = {};
     this.overlayMaps = {};
     this.layerControl = null;
+    this.layerState = null;
     this.sidebarOpen = true;
     this.stats = {};
     this.facilitiesData = null;
+    this.roadData = null;
+    this.searchIndex = [];
 
     // Configuration
     this.config = {
@@ -25,61 +54,164 @@ class GISCirendeuApp {
         facilitiesStats: "api/fasilitas.php?action=stats",
         authCheck: "api/auth.php/check",
         authLogout: "api/auth.php/logout",
+        roads: "api/jalan.php",
+        categories: "api/fasilitas.php?action=categories",
       },
+      // Used when the categories API is unavailable
+      categoryDataFile: "data/kategori.json",
+      // Used when the roads API is unavailable
+      roadDataFile: "data/GEOJSON_JALAN.geojson",
+      // Used when the facilities API is unavailable; the category is
+      // taken from the file name (GEOJSON_PRASARANA_UMUM → Prasarana Umum)
+      facilityDataFiles: [
+        "data/GEOJSON_MASJID.geojson",
+        "data/GEOJSON_PENDIDIKAN.geojson",
+        "data/GEOJSON_KESEHATAN.geojson",
+        "data/GEOJSON_PRASARANA_UMUM.geojson",
+        "data/GEOJSON_FASILITAS_PUBLIK.geojson",
+      ],
       mapCenter: [-6.305, 106.765],
       mapZoom: 14,
+      // Extent of the digitised Cirendeu data (plus a small margin)
+      areaBounds: [
+        [-6.327, 106.754],
+        [-6.29, 106.784],
+      ],
       sidebarWidth: 350,
-    };
-
-    // Layer configurations with consistent naming
-    this.layerConfigs = {
-      masjid: {
-        name: "Masjid",
-        color: "#2ecc71",
-        icon: "fas fa-mosque",
-        markerColor: "green",
+      search: {
+        maxResults: 8,
+        minQueryLength: 2,
+        focusZoom: 17,
+      },
+      clustering: {
+        storageKey: "gisCirendeu.clustering",
+        maxClusterRadius: 45,
+        defaultEnabled: true,
+      },
+      routing: {
+        // Max gap (m) bridged between a road end and the road it meets
+        connectTolerance: 60,
+        // Max distance (m) from a start/end point to the road network
+        maxSnapDistance: 1500,
+        // Average speeds in km/h used for travel time estimates
+        speeds: { walking: 4.5, riding: 20 },
+        color: "#1e90ff",
+      },
+      nearest: {
+        focusZoom: 17,
+        locateZoom: 16,
+      },
+      buffer: {
+        defaultRadius: 500,
+        minRadius: 50,
+        maxRadius: 5000,
+        color: "#ffd700",
+      },
+      measure: {
+        // Vertices within this many metres of a road snap onto it
+        snapDistance: 30,
+        color: "#e84393",
+      },
+      // jam_buka keys, indexed by Date#getDay()
+      openingDays: [
+        "minggu",
+        "senin",
+        "selasa",
+        "rabu",
+        "kamis",
+        "jumat",
+        "sabtu",
+      ],
+      sketch: {
+        name: t("sketch.layerName"),
+        storageKey: "gisCirendeu.sketches",
+        color: "#ff7f00",
+      },
+      catchment: {
+        name: t("catchment.layerName"),
+        defaultCategory: "masjid",
+      },
+      heatmap: {
+        name: t("heatmap.layerName"),
+        radius: 30,
+        intensity: 1,
+        // Zoom at which points reach full weight (neighbourhood scale)
+        maxZoom: 15,
+      },
+      legend: {
+        storageKey: "gisCirendeu.legendCollapsed",
+      },
+      layerState: {
+        storageKey: "gisCirendeu.layerState",
+        // Layer panes stack above overlayPane (buffer and catchment areas)
+        // and below the tool pane
+        paneZIndex: 450,
+        // Route, nearest-facility link, measurement and sketch shapes draw
+        // over the data layers they trace, still under markerPane (600)
+        toolPane: "tools",
+        toolPaneZIndex: 550,
+        minOpacity: 0.1,
       },
-      pendidikan: {
-        name: "Pendidikan",
-        color: "#3498db",
-        icon: "fas fa-graduation-cap",
-        markerColor: "blue",
+      listView: {
+        focusZoom: 17,
       },
-      kesehatan: {
-        name: "Kesehatan",
-        color: "#e74c3c",
-        icon: "fas fa-hospital",
-        markerColor: "red",
+      browse: {
+        pageSize: 10,
+        focusZoom: 17,
       },
-      "prasarana-umum": {
-        name: "Prasarana Umum",
-        color: "#9b59b6",
-        icon: "fas fa-building",
-        markerColor: "purple",
+      highContrast: {
+        storageKey: "gisCirendeu.highContrast",
       },
-      "fasilitas-publik": {
-        name: "Fasilitas Publik",
-        color: "#f39c12",
-        icon: "fas fa-gas-pump",
-        markerColor: "orange",
+      offline: {
+        serviceWorker: "sw.js",
+        // Subdomain-free form; the service worker stores a/b/c tiles under it
+        tileUrl: "https://tile.openstreetmap.org/{z}/{x}/{y}.png",
+        minZoom: 14,
+        maxZoom: 17,
+        // Rough average OSM tile size, for the download estimate
+        averageTileKb: 20,
       },
+      permalink: {
+        updateDelay: 300,
+        coordinatePrecision: 5,
+      },
+      print: {
+        defaultTitle: t("print.defaultTitle"),
+        dpi: 150,
+        // Paper sizes in millimetres, portrait [width, height]
+        paperSizes: {
+          a4: [210, 297],
+          a3: [297, 420],
+        },
+        // Only needed when printing, so loaded on demand
+        libraries: {
+          html2canvas: {
+            src: "https://unpkg.com/html2canvas@1.4.1/dist/html2canvas.min.js",
+            integrity: "sha256-6H5VB5QyLldKH9oMFUmjxw2uWpPZETQXpCkBaDjquMs=",
+          },
+          jspdf: {
+            src: "https://unpkg.com/jspdf@2.5.1/dist/jspdf.umd.min.js",
+            integrity: "sha256-mMzxeqEMILsTAXYmGPzJtqs6Tn8mtgcdZNC0EVTfOHU=",
+          },
+        },
+      },
+    };
+
+    // Layer configurations with consistent naming. Facility categories
+    // are added in front of the road layer by applyCategories().
+    this.layerConfigs = {
       jalan: {
-        name: "Jalan",
+        name: t("category.jalan"),
         color: "#ff6b35",
         weight: 3,
         opacity: 0.8,
+        dashArray: "5, 5",
         icon: "fas fa-road",
       },
     };
 
-    // Category mapping from database to layer keys
-    this.categoryMapping = {
-      Masjid: "masjid",
-      Pendidikan: "pendidikan",
-      Kesehatan: "kesehatan",
-      "Prasarana Umum": "prasarana-umum",
-      "Fasilitas Publik": "fasilitas-publik",
-    };
+    // Category mapping from database (kategori) to layer keys
+    this.categoryMapping = {};
   }
 
   /**
@@ -90,26 +222,34 @@ class GISCirendeuApp {
   async init() {
     try {
       this.showLoading();
+      this.registerServiceWorker();
+      await this.loadCategories();
       this.initializeMap();
       this.setupEventListeners();
       await this.loadFacilitiesData();
+      await this.loadRoadData();
       await this.loadAllLayers();
-      this.setupLayerControls();
+      this.buildSearchIndex();
+      this.populateRouteOptions();
+      this.createLayerControl();
       await this.updateStatistics();
       await this.checkAdminStatus();
+      this.restorePermalinkState();
+      this.updateFacilityBrowser();
       this.hideLoading();
     } catch (error) {
       console.error("Error initializing GIS application:", error);
-      this.showError("Gagal memuat aplikasi. Silakan refresh halaman.");
+      this.showError(t("error.appLoad"));
       this.hideLoading();
     }
   }
 
   initializeMap() {
-    // Initialize map centered on Cirendeu
+    // Initialize map centered on Cirendeu, or on the view from a shared link
+    this.permalinkState = this.readPermalink();
     this.map = L.map("map", {
-      center: this.config.mapCenter,
-      zoom: this.config.mapZoom,
+      center: this.permalinkState.center || this.config.mapCenter,
+      zoom: this.permalinkState.zoom ?? this.config.mapZoom,
       zoomControl: false,
     });
 
@@ -121,6 +261,9 @@ class GISCirendeuApp {
 
     // Add scale control
     L.control.scale({ position: "bottomright" }).addTo(this.map);
+
+    // On-map legend, filled in once layers and statistics are loaded
+    this.createLegendControl();
   }
 
   setupBaseLayers() {
@@ -129,6 +272,8 @@ class GISCirendeuApp {
       {
         attribution: "© OpenStreetMap contributors",
         maxZoom: 19,
+        // CORS tiles keep the canvas readable when printing the map
+        crossOrigin: true,
       }
     );
 
@@ -137,24 +282,75 @@ class GISCirendeuApp {
       {
         attribution:
           "Tiles © Esri — Source: Esri, i-cubed, USDA, USGS, AEX, GeoEye, Getmapping, Aerogrid, IGN, IGP, UPR-EGP, and the GIS User Community",
+        crossOrigin: true,
       }
     );
 
-    osmLayer.addTo(this.map);
-
     this.baseMaps = {
       OpenStreetMap: osmLayer,
       Satellite: satelliteLayer,
     };
+
+    const baseName = this.permalinkState?.base;
+    (this.baseMaps[baseName] || osmLayer).addTo(this.map);
   }
 
   setupEventListeners() {
     // Sidebar toggle functionality
     this.setupSidebarToggle();
 
-    // Layer checkbox controls
+    // Layer visibility, opacity and order, and the sidebar controls for them
+    this.setupLayerState();
     this.setupLayerControls();
 
+    // Facility & road search box
+    this.setupSearch();
+
+    // Per-layer clustering switches
+    this.setupClusterToggles();
+
+    // Road network routing panel
+    this.setupRouting();
+
+    // Nearest facility finder
+    this.setupNearestFinder();
+
+    // Radius (buffer) analysis tool
+    this.setupBufferAnalysis();
+
+    // Distance / area measurement tools
+    this.setupMeasureTools();
+
+    // Sketch / annotation toolbar
+    this.setupSketchTools();
+
+    // Service-area (Voronoi) overlay controls
+    this.setupCatchmentControls();
+
+    // Facility density heatmap controls
+    this.setupHeatmapControls();
+
+    // Visible facility export
+    this.setupFacilityExport();
+
+    // Print layout (PNG / PDF)
+    this.setupPrintControls();
+
+    // Offline tile/data download and stale-data banner
+    this.setupOfflineControls();
+
+    // Facility photo lightbox
+    this.setupPhotoGallery();
+
+    // "Open now" facility filter
+    this.setupOpenNowFilter();
+
+    // Facility list view and high-contrast theme
+    this.setupAccessibility();
+
+    // Sortable, paginated facility list in the sidebar
+    this.setupFacilityBrowser();
+
     // Admin button functionality
     this.setupAdminButtons();
   }
@@ -179,22 +375,41 @@ class GISCirendeuApp {
 
   setupLayerControls() {
     Object.keys(this.layerConfigs).forEach((layerKey) => {
-      const checkboxId = layerKey.replace("-", "");
-      const checkbox = document.getElementById(`layer-${checkboxId}`);
+      const checkbox = this.getLayerCheckbox(layerKey);
 
       if (checkbox) {
+        checkbox.checked = this.layerState.visible[layerKey];
         checkbox.addEventListener("change", (e) => {
-          const layerGroup = this.layerGroups[layerKey];
-          if (layerGroup) {
-            if (e.target.checked) {
-              this.map.addLayer(layerGroup);
-            } else {
-              this.map.removeLayer(layerGroup);
-            }
-          }
+          this.setLayerVisibility(layerKey, e.target.checked);
         });
       }
     });
+
+    const adjustSelect = document.getElementById("layer-adjust-key");
+    const opacityInput = document.getElementById("layer-opacity");
+    if (!adjustSelect) return;
+
+    adjustSelect.innerHTML = Object.entries(this.layerConfigs)
+      .map(
+        ([layerKey, config]) =>
+          `<option value="${layerKey}">${config.name}</option>`
+      )
+      .join("");
+    adjustSelect.addEventListener("change", () =>
+      this.updateLayerAdjustControls()
+    );
+
+    document.getElementById("layer-forward")?.addEventListener("click", () => {
+      this.moveLayer(adjustSelect.value, -1);
+    });
+    document.getElementById("layer-backward")?.addEventListener("click", () => {
+      this.moveLayer(adjustSelect.value, 1);
+    });
+    opacityInput?.addEventListener("input", () => {
+      this.setLayerOpacity(adjustSelect.value, parseFloat(opacityInput.value));
+    });
+
+    this.updateLayerAdjustControls();
   }
 
   setupAdminButtons() {
@@ -202,6 +417,120 @@ class GISCirendeuApp {
     // This method can be extended for additional admin functionality
   }
 
+  /**
+   * ===============================================
+   * CATEGORY METHODS
+   * ===============================================
+   */
+
+  /**
+   * Facility categories come from the kategori table, so a new category
+   * gets a layer, sidebar row, legend entry and stats line without code
+   * changes. Names and descriptions use the i18n catalog when it knows
+   * the slug and the API text otherwise.
+   */
+  async loadCategories() {
+    try {
+      const response = await fetch(this.config.apiEndpoints.categories);
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      const result = await response.json();
+
+      if (result.success && Array.isArray(result.data)) {
+        this.applyCategories(result.data);
+        return true;
+      }
+      throw new Error(result.message || "Failed to load categories");
+    } catch (error) {
+      console.warn("Categories API unavailable, loading JSON file:", error);
+    }
+
+    try {
+      const response = await fetch(this.config.categoryDataFile);
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      this.applyCategories(await response.json());
+    } catch (error) {
+      console.error("Error loading categories:", error);
+      this.applyCategories([]);
+      this.showNotification(t("error.categories"), "warning");
+    }
+
+    return false;
+  }
+
+  applyCategories(categories) {
+    const { jalan } = this.layerConfigs;
+    this.layerConfigs = {};
+    this.categoryMapping = {};
+
+    categories.forEach((category) => {
+      if (!category.slug || category.slug === "jalan") return;
+
+      const nameKey = `category.${category.slug}`;
+      const descriptionKey = `${nameKey}.description`;
+      this.layerConfigs[category.slug] = {
+        name: hasTranslation(nameKey) ? t(nameKey) : category.label,
+        color: category.color,
+        icon: category.icon,
+        description: hasTranslation(descriptionKey)
+          ? t(descriptionKey)
+          : category.description || t("category.default.description"),
+      };
+      this.categoryMapping[category.value] = category.slug;
+    });
+
+    // Roads last: they are drawn behind the facilities by default
+    this.layerConfigs.jalan = jalan;
+    this.renderCategoryControls();
+  }
+
+  renderCategoryControls() {
+    const categories = Object.entries(this.layerConfigs).filter(
+      ([layerKey]) => layerKey !== "jalan"
+    );
+    const options = categories
+      .map(
+        ([layerKey, config]) =>
+          `<option value="${layerKey}">${this.escapeHtml(config.name)}</option>`
+      )
+      .join("");
+
+    const anchor = document.querySelector(".layer-controls .catchment-item");
+    if (anchor) {
+      categories.forEach(([layerKey, config]) => {
+        const checkboxId = this.getLayerCheckboxId(layerKey);
+        const row = document.createElement("div");
+        row.className = "layer-item";
+        row.innerHTML = `
+          <input type="checkbox" id="${checkboxId}" checked />
+          <label for="${checkboxId}">
+            <i class="${config.icon}" style="color: ${config.color}"></i>
+            <span>${this.escapeHtml(config.name)}</span>
+          </label>
+          <button type="button" class="cluster-toggle" data-layer="${layerKey}"
+            title="${t("cluster.toggle")}">
+            <i class="fas fa-object-group"></i>
+          </button>
+        `;
+        anchor.before(row);
+      });
+    }
+
+    const catchmentSelect = document.getElementById("catchment-category");
+    if (catchmentSelect) catchmentSelect.innerHTML = options;
+
+    document
+      .getElementById("heatmap-category")
+      ?.insertAdjacentHTML("beforeend", options);
+  }
+
   /**
    * ===============================================
    * DATA LOADING METHODS
@@ -220,16 +549,159 @@ class GISCirendeuApp {
       const result = await response.json();
 
       if (result.success && result.data) {
-        this.facilitiesData = result.data;
+        this.facilitiesData = this.decodeFacilityText(result.data);
         console.log("Facilities data loaded:", this.facilitiesData);
+
+        // Set by the service worker when it answers from its cache
+        const cachedAt = response.headers.get("X-Cached-At");
+        this.setDataStatus(cachedAt ? "cache" : "live", cachedAt);
+        return true;
       } else {
         throw new Error(result.message || "Failed to load facilities data");
       }
     } catch (error) {
       console.error("Error loading facilities data:", error);
-      console.warn("Falling back to static data");
-      this.facilitiesData = this.getStaticFallbackData();
+
+      // Keep what is already on the map when a refresh fails
+      if (this.facilitiesData) {
+        console.warn("Keeping previously loaded data");
+        return false;
+      }
+
+      console.warn("Falling back to GeoJSON data files");
+      const fileData = await this.loadFacilityDataFiles();
+      this.facilitiesData =
+        fileData.features.length > 0 ? fileData : this.getStaticFallbackData();
+      this.setDataStatus("fallback");
+      return false;
+    }
+  }
+
+  async loadFacilityDataFiles() {
+    const results = await Promise.allSettled(
+      this.config.facilityDataFiles.map(async (file) => {
+        const response = await fetch(file);
+        if (!response.ok) {
+          throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return { file, data: await response.json() };
+      })
+    );
+
+    const features = [];
+    results.forEach((result, index) => {
+      if (result.status !== "fulfilled") {
+        console.warn(
+          `Could not load ${this.config.facilityDataFiles[index]}:`,
+          result.reason
+        );
+        return;
+      }
+
+      const { file, data } = result.value;
+      const kategori = this.getCategoryFromFileName(file);
+      (data.features || []).forEach((feature, featureIndex) => {
+        const normalized = this.normalizeFileFeature(
+          feature,
+          kategori,
+          `${this.categoryMapping[kategori] || "fasilitas"}-${featureIndex + 1}`
+        );
+        if (normalized) features.push(normalized);
+      });
+    });
+
+    return { type: "FeatureCollection", features };
+  }
+
+  getCategoryFromFileName(file) {
+    return file
+      .split("/")
+      .pop()
+      .replace(/^GEOJSON_/i, "")
+      .replace(/\.geojson$/i, "")
+      .split("_")
+      .map((word) => word.charAt(0) + word.slice(1).toLowerCase())
+      .join(" ");
+  }
+
+  // Maps the hand-made file properties (Nama/nama, Latitude/latitude, ...)
+  // onto the schema returned by api/fasilitas.php?format=geojson
+  normalizeFileFeature(feature, kategori, id) {
+    const properties = feature.properties || {};
+    const pick = (...keys) =>
+      keys
+        .map((key) => properties[key])
+        .find((value) => value !== undefined && value !== null && value !== "");
+
+    let coordinates = feature.geometry?.coordinates?.slice(0, 2);
+    if (!coordinates || !coordinates.every(Number.isFinite)) {
+      // "Latidue" is a typo present in GEOJSON_FASILITAS_PUBLIK
+      coordinates = [
+        parseFloat(pick("longitude", "Longitude")),
+        parseFloat(pick("latitude", "Latitude", "Latidue")),
+      ];
+    }
+    if (!coordinates.every(Number.isFinite)) return null;
+
+    const foto = pick("foto_fasilitas", "foto") || null;
+    return {
+      type: "Feature",
+      properties: {
+        id,
+        nama: String(pick("nama", "Nama", "nama_fasilitas") || "").trim(),
+        alamat: pick("alamat", "Alamat") || "Kelurahan Cirendeu",
+        deskripsi:
+          pick("deskripsi", "Deskripsi") ||
+          this.getCategoryDescription(this.categoryMapping[kategori]),
+        kategori,
+        foto,
+        foto_fasilitas: foto,
+      },
+      geometry: { type: "Point", coordinates },
+    };
+  }
+
+  async loadRoadData() {
+    try {
+      const response = await fetch(this.config.apiEndpoints.roads);
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      const result = await response.json();
+
+      if (result.success && result.data?.features) {
+        this.roadData = result.data;
+        return true;
+      }
+      throw new Error(result.message || "Failed to load road data");
+    } catch (error) {
+      console.warn("Roads API unavailable, loading GeoJSON file:", error);
+    }
+
+    try {
+      const response = await fetch(this.config.roadDataFile);
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      this.roadData = await response.json();
+    } catch (error) {
+      console.error("Error loading road data:", error);
+      this.roadData = this.roadData || {
+        type: "FeatureCollection",
+        features: [],
+      };
+      this.showNotification(t("error.roadData"), "warning");
     }
+
+    return false;
+  }
+
+  getJalanData() {
+    return this.roadData || { type: "FeatureCollection", features: [] };
   }
 
   async loadAllLayers() {
@@ -240,9 +712,16 @@ class GISCirendeuApp {
 
       // Load road layer
       this.createRoadLayer();
+
+      // Service-area and density overlays (off until toggled)
+      this.createCatchmentLayer();
+      this.createHeatmapLayer();
+
+      // User annotations kept in the browser
+      this.createSketchLayer();
     } catch (error) {
       console.error("Error loading layers:", error);
-      this.showError("Gagal memuat layer peta");
+      this.showError(t("error.layers"));
     }
   }
 
@@ -251,6 +730,13 @@ class GISCirendeuApp {
 
     if (this.facilitiesData?.features) {
       this.facilitiesData.features.forEach((feature) => {
+        if (
+          this.openNowOnly &&
+          !this.getOpeningStatus(feature.properties)?.open
+        ) {
+          return;
+        }
+
         const category = feature.properties.kategori;
         if (!grouped[category]) {
           grouped[category] = [];
@@ -274,14 +760,7 @@ class GISCirendeuApp {
         const config = this.layerConfigs[layerKey];
 
         if (config && layerKey) {
-          this.layerGroups[layerKey] = this.createPointLayer(
-            { type: "FeatureCollection", features },
-            config,
-            layerKey
-          );
-
-          this.overlayMaps[config.name] = this.layerGroups[layerKey];
-          this.layerGroups[layerKey].addTo(this.map);
+          this.addFacilityLayerGroup(layerKey, features);
         } else {
           console.warn(`No config found for category: ${category}`);
         }
@@ -294,35 +773,75 @@ class GISCirendeuApp {
     const roadConfig = this.layerConfigs.jalan;
 
     this.layerGroups.jalan = L.geoJSON(roadData, {
+      pane: this.getLayerPane("jalan"),
       style: {
         color: roadConfig.color,
         weight: roadConfig.weight,
         opacity: roadConfig.opacity,
-        dashArray: "5, 5",
+        dashArray: roadConfig.dashArray,
       },
       onEachFeature: (feature, layer) => {
-        const roadName = feature.properties.jalan || "Jalan Tidak Dikenal";
+        const roadName = feature.properties.jalan || t("road.unnamed");
         layer.bindPopup(this.createRoadPopup(roadName));
         layer.on("click", () => {
-          this.updateFeatureInfo("Jalan", roadName, "Jaringan transportasi");
+          this.updateFeatureInfo(
+            roadConfig.name,
+            roadName,
+            t("road.description")
+          );
         });
       },
     });
 
     this.overlayMaps[roadConfig.name] = this.layerGroups.jalan;
-    this.layerGroups.jalan.addTo(this.map);
+    if (this.layerState.visible.jalan) {
+      this.layerGroups.jalan.addTo(this.map);
+    }
+  }
+
+  addFacilityLayerGroup(layerKey, features = []) {
+    const config = this.layerConfigs[layerKey];
+    const layerGroup = this.createPointLayer(
+      { type: "FeatureCollection", features },
+      config,
+      layerKey
+    );
+    this.layerGroups[layerKey] = layerGroup;
+
+    // Keep the cluster in step with markers added/removed by refreshMap()
+    layerGroup.on("layeradd", (e) => {
+      this.clusterGroups[layerKey]?.addLayer(e.layer);
+    });
+    layerGroup.on("layerremove", (e) => {
+      this.clusterGroups[layerKey]?.removeLayer(e.layer);
+    });
+
+    if (this.isClusteringEnabled(layerKey)) {
+      this.clusterGroups[layerKey] = this.createClusterGroup(layerKey);
+    }
+
+    const displayLayer = this.getDisplayLayer(layerKey);
+    this.overlayMaps[config.name] = displayLayer;
+    if (this.layerState.visible[layerKey]) {
+      displayLayer.addTo(this.map);
+    }
+
+    if (this.layerControl) {
+      this.layerControl.addOverlay(displayLayer, config.name);
+    }
+
+    return layerGroup;
   }
 
   createPointLayer(data, config, layerType) {
     return L.geoJSON(data, {
       pointToLayer: (feature, latlng) => {
-        return L.circleMarker(latlng, {
-          radius: 8,
-          fillColor: config.color,
-          color: "#fff",
-          weight: 2,
-          opacity: 1,
-          fillOpacity: 0.8,
+        // divIcon markers (not circleMarkers) so marker clustering can
+        // locate, spiderfy and reveal them
+        return L.marker(latlng, {
+          pane: this.getLayerPane(layerType),
+          icon: this.createFacilityIcon(config),
+          title: this.extractFacilityName(feature.properties),
         });
       },
       onEachFeature: (feature, layer) => {
@@ -332,96 +851,673 @@ class GISCirendeuApp {
   }
 
   setupFeatureInteractions(feature, layer, config, layerType) {
-    const properties = feature.properties;
-    const name = this.extractFacilityName(properties);
-    const category = properties.kategori || config.name;
-    const alamat = properties.alamat || "";
-    const deskripsi =
-      properties.deskripsi || this.getCategoryDescription(layerType);
-
-    // Create and bind popup
-    const popupContent = this.createFacilityPopup(
-      name,
-      category,
-      alamat,
-      properties
-    );
-    layer.bindPopup(popupContent);
+    // Popup and click handler read layer.feature at call time so that
+    // refreshMap() can swap in updated properties without rebinding
+    layer.bindPopup(() => {
+      const { name, category, alamat } = this.getFacilityDetails(
+        layer.feature.properties,
+        config,
+        layerType
+      );
+      return this.createFacilityPopup(
+        name,
+        category,
+        alamat,
+        layer.feature.properties
+      );
+    });
 
-    // Set up click handler
-    layer.on("click", () => {
+    const showDetails = () => {
+      const properties = layer.feature.properties;
+      const { name, category, alamat, deskripsi } = this.getFacilityDetails(
+        properties,
+        config,
+        layerType
+      );
       this.updateFeatureInfo(
-        category,
+        this.getCategoryLabel(category),
         name,
         deskripsi,
         alamat,
-        properties.foto_fasilitas
+        properties
       );
+      this.selectFeatureMarker(layer, config);
+    };
+
+    // Set up click handler
+    layer.on("click", showDetails);
+
+    // Markers are focusable buttons (Leaflet's keyboard option). Leaflet
+    // opens the popup on Enter itself, so only Space is handled here
+    layer.on("keydown", (e) => {
+      if (e.originalEvent.key !== " ") return;
+
+      e.originalEvent.preventDefault();
+      layer.openPopup();
+      showDetails();
+    });
+
+    // Enter arrives as keypress, next to Leaflet's own popup handler.
+    // Leaflet versions that turn Enter into a click never fire keypress,
+    // so the details are shown once either way
+    layer.on("keypress", (e) => {
+      if (e.originalEvent.key === "Enter") showDetails();
     });
 
     // Set up hover effects
     this.setupHoverEffects(layer);
   }
 
+  createFacilityIcon(config, selected = false) {
+    // The category glyph carries the meaning, so markers stay
+    // distinguishable without relying on color
+    return L.divIcon({
+      className: `facility-marker${selected ? " selected" : ""}`,
+      html: `
+        <div class="facility-pin" style="background: ${config.color};">
+          <i class="${config.icon}"></i>
+        </div>
+      `,
+      iconSize: [32, 40],
+      iconAnchor: [16, 40],
+      popupAnchor: [0, -40],
+    });
+  }
+
+  selectFeatureMarker(layer, config) {
+    const previous = this.selectedMarker;
+    if (previous?.layer === layer) return;
+
+    // Icons (not classes) carry the state so it survives cluster re-renders
+    if (previous) {
+      previous.layer.setIcon(this.createFacilityIcon(previous.config));
+      previous.layer.setZIndexOffset(0);
+    }
+
+    layer.setIcon(this.createFacilityIcon(config, true));
+    layer.setZIndexOffset(1000);
+    this.selectedMarker = { layer, config };
+    this.markFacilityListSelection(this.getFeatureKey(layer.feature));
+  }
+
   setupHoverEffects(layer) {
-    layer.on("mouseover", function () {
-      this.setStyle({ radius: 12, fillOpacity: 1 });
+    layer.on("mouseover", () => {
+      layer.getElement()?.classList.add("hover");
     });
 
-    layer.on("mouseout", function () {
-      this.setStyle({ radius: 8, fillOpacity: 0.8 });
+    layer.on("mouseout", () => {
+      layer.getElement()?.classList.remove("hover");
     });
   }
 
   /**
    * ===============================================
-   * POPUP CREATION METHODS
+   * LEGEND METHODS
    * ===============================================
    */
-  createRoadPopup(roadName) {
-    return `
-      <div class="popup-title">🛣️ ${roadName}</div>
-      <div class="popup-category">Jaringan Jalan</div>
-    `;
-  }
+  createLegendControl() {
+    const LegendControl = L.Control.extend({
+      options: { position: "bottomleft" },
+      onAdd: () => {
+        const container = L.DomUtil.create(
+          "div",
+          "leaflet-control legend-control"
+        );
+        container.innerHTML = `
+          <button type="button" class="legend-toggle" aria-expanded="true">
+            <i class="fas fa-list-ul"></i> ${t("legend.title")}
+            <i class="fas fa-chevron-down legend-chevron"></i>
+          </button>
+          <div class="legend-items"></div>
+        `;
 
-  createFacilityPopup(name, category, alamat, properties) {
-    const config = this.layerConfigs[this.categoryMapping[category]];
-    let popupContent = `
-      <div class="popup-title">
-        <i class="${config?.icon || "fas fa-map-marker"}" style="color: ${
-      config?.color || "#666"
-    }; margin-right: 5px;"></i>
-        ${name}
-      </div>
-      <div class="popup-category">${category}</div>
-    `;
+        L.DomEvent.disableClickPropagation(container);
+        L.DomEvent.disableScrollPropagation(container);
 
-    if (alamat) {
-      popupContent += `<div class="popup-address"><i class="fas fa-map-marker-alt"></i> ${alamat}</div>`;
+        container
+          .querySelector(".legend-toggle")
+          .addEventListener("click", () => {
+            this.setLegendCollapsed(!container.classList.contains("collapsed"));
+          });
+
+        return container;
+      },
+    });
+
+    this.legendControl = new LegendControl().addTo(this.map);
+    this.setLegendCollapsed(this.isLegendCollapsed());
+  }
+
+  isLegendCollapsed() {
+    try {
+      return localStorage.getItem(this.config.legend.storageKey) === "true";
+    } catch (error) {
+      return false;
     }
+  }
 
-    if (properties.foto_fasilitas) {
-      popupContent += `<div class="popup-photo"><img src="uploads/${properties.foto_fasilitas}" style="max-width: 200px; border-radius: 5px; margin-top: 10px;"></div>`;
+  setLegendCollapsed(collapsed) {
+    const container = this.legendControl?.getContainer();
+    if (!container) return;
+
+    container.classList.toggle("collapsed", collapsed);
+    container
+      .querySelector(".legend-toggle")
+      .setAttribute("aria-expanded", String(!collapsed));
+
+    try {
+      localStorage.setItem(this.config.legend.storageKey, String(collapsed));
+    } catch (error) {
+      console.warn("Could not save legend state:", error);
     }
+  }
 
-    return popupContent;
+  updateLegend() {
+    const items = this.legendControl
+      ?.getContainer()
+      .querySelector(".legend-items");
+    if (!items) return;
+
+    items.innerHTML = Object.entries(this.layerConfigs)
+      .map(([layerKey, config]) => {
+        const active = this.isLayerVisible(layerKey);
+        const count = this.stats?.[layerKey] ?? 0;
+        const swatch =
+          layerKey === "jalan"
+            ? `<svg class="legend-swatch" width="24" height="12" aria-hidden="true">
+                <line x1="0" y1="6" x2="24" y2="6" stroke="${config.color}"
+                  stroke-width="${config.weight}" stroke-opacity="${config.opacity}"
+                  stroke-dasharray="${config.dashArray}" />
+              </svg>`
+            : `<span class="legend-swatch legend-pin" style="background: ${config.color};">
+                <i class="${config.icon}"></i>
+              </span>`;
+
+        return `
+          <div class="legend-item${active ? "" : " inactive"}"
+            title="${t(active ? "legend.active" : "legend.hidden")}">
+            ${swatch}
+            <span class="legend-label">${config.name}</span>
+            <span class="legend-count">${count}</span>
+          </div>
+        `;
+      })
+      .join("");
   }
 
   /**
    * ===============================================
-   * ADMIN STATUS & UI METHODS
+   * LAYER STATE METHODS
    * ===============================================
    */
-  async checkAdminStatus() {
-    try {
-      const response = await fetch(this.config.apiEndpoints.authCheck);
-      const result = await response.json();
-      const adminButtons = document.querySelector(".admin-buttons");
 
-      if (result.success && result.data?.authenticated) {
-        this.renderLoggedInAdminButtons(adminButtons, result.data.user);
-      } else {
+  /**
+   * this.layerState is the single record of visibility, opacity and
+   * stacking order for the data layers (this.layerConfigs). Changes go
+   * through the setters below, which apply them to the map and push them
+   * to the sidebar, the Leaflet layer control, localStorage and the
+   * permalink. Each layer draws into its own pane, so opacity and order
+   * cover markers, clusters and roads alike.
+   */
+  setupLayerState() {
+    this.layerState = this.readLayerState();
+
+    Object.keys(this.layerConfigs).forEach((layerKey) => {
+      this.map.createPane(this.getLayerPane(layerKey));
+    });
+    this.map.createPane(this.getToolPane()).style.zIndex =
+      this.config.layerState.toolPaneZIndex;
+    this.applyLayerOpacity();
+    this.applyLayerOrder();
+
+    // Overlays switched from the Leaflet layer control
+    this.map.on("overlayadd overlayremove", (e) => {
+      const layerKey = this.findLayerKey(e.layer);
+      const visible = e.type === "overlayadd";
+      if (layerKey && this.layerState.visible[layerKey] !== visible) {
+        this.setLayerVisibility(layerKey, visible);
+      }
+    });
+  }
+
+  getDefaultLayerState() {
+    const layerKeys = Object.keys(this.layerConfigs);
+
+    return {
+      visible: Object.fromEntries(layerKeys.map((key) => [key, true])),
+      opacity: Object.fromEntries(layerKeys.map((key) => [key, 1])),
+      // Front to back; roads come last in layerConfigs
+      order: layerKeys,
+    };
+  }
+
+  readLayerState() {
+    const state = this.getDefaultLayerState();
+
+    try {
+      const stored = JSON.parse(
+        localStorage.getItem(this.config.layerState.storageKey)
+      );
+
+      Object.keys(state.visible).forEach((layerKey) => {
+        if (typeof stored?.visible?.[layerKey] === "boolean") {
+          state.visible[layerKey] = stored.visible[layerKey];
+        }
+        if (Number.isFinite(stored?.opacity?.[layerKey])) {
+          state.opacity[layerKey] = this.clampLayerOpacity(
+            stored.opacity[layerKey]
+          );
+        }
+      });
+      if (Array.isArray(stored?.order)) {
+        state.order = this.normalizeLayerOrder(stored.order);
+      }
+    } catch (error) {
+      console.warn("Could not read layer state:", error);
+    }
+
+    return state;
+  }
+
+  saveLayerState() {
+    try {
+      localStorage.setItem(
+        this.config.layerState.storageKey,
+        JSON.stringify(this.layerState)
+      );
+    } catch (error) {
+      console.warn("Could not save layer state:", error);
+    }
+  }
+
+  // Unknown and repeated keys are dropped; missing layers go to the back
+  normalizeLayerOrder(order) {
+    const layerKeys = Object.keys(this.layerConfigs);
+    const known = order.filter(
+      (key, index) => layerKeys.includes(key) && order.indexOf(key) === index
+    );
+    return [...known, ...layerKeys.filter((key) => !known.includes(key))];
+  }
+
+  clampLayerOpacity(opacity) {
+    return Math.min(Math.max(opacity, this.config.layerState.minOpacity), 1);
+  }
+
+  getLayerPane(layerKey) {
+    return `layer-${layerKey}`;
+  }
+
+  getToolPane() {
+    return this.config.layerState.toolPane;
+  }
+
+  getLayerCheckboxId(layerKey) {
+    return `layer-${layerKey.replace(/-/g, "")}`;
+  }
+
+  getLayerCheckbox(layerKey) {
+    return document.getElementById(this.getLayerCheckboxId(layerKey));
+  }
+
+  // Layer key for a marker/cluster group as the layer control sees it
+  findLayerKey(displayLayer) {
+    return Object.keys(this.layerConfigs).find(
+      (layerKey) => this.getDisplayLayer(layerKey) === displayLayer
+    );
+  }
+
+  setLayerVisibility(layerKey, visible) {
+    if (!(layerKey in this.layerState.visible)) return;
+
+    this.layerState.visible[layerKey] = visible;
+    this.saveLayerState();
+
+    // Categories without data yet pick the state up when created
+    const displayLayer = this.getDisplayLayer(layerKey);
+    if (displayLayer && visible) {
+      this.map.addLayer(displayLayer);
+    } else if (displayLayer) {
+      this.map.removeLayer(displayLayer);
+    }
+
+    const checkbox = this.getLayerCheckbox(layerKey);
+    if (checkbox) checkbox.checked = visible;
+
+    this.updateLegend();
+    this.updateFacilityListView();
+    this.updateFacilityBrowser();
+    this.schedulePermalinkUpdate?.();
+  }
+
+  setLayerOpacity(layerKey, opacity) {
+    if (!(layerKey in this.layerState.opacity) || !Number.isFinite(opacity)) {
+      return;
+    }
+
+    this.layerState.opacity[layerKey] = this.clampLayerOpacity(opacity);
+    this.saveLayerState();
+    this.applyLayerOpacity();
+    this.updateLayerAdjustControls();
+    this.schedulePermalinkUpdate?.();
+  }
+
+  applyLayerOpacity() {
+    Object.entries(this.layerState.opacity).forEach(([layerKey, opacity]) => {
+      this.map.getPane(this.getLayerPane(layerKey)).style.opacity = opacity;
+    });
+  }
+
+  // step -1 brings the layer forward, 1 sends it backward
+  moveLayer(layerKey, step) {
+    const order = [...this.layerState.order];
+    const index = order.indexOf(layerKey);
+    const target = index + step;
+    if (index < 0 || target < 0 || target >= order.length) return;
+
+    [order[index], order[target]] = [order[target], order[index]];
+    this.setLayerOrder(order);
+  }
+
+  setLayerOrder(order) {
+    this.layerState.order = this.normalizeLayerOrder(order);
+    this.saveLayerState();
+    this.applyLayerOrder();
+    this.updateLayerAdjustControls();
+
+    // The layer control only sorts when it is built
+    if (this.layerControl) this.createLayerControl();
+    this.schedulePermalinkUpdate?.();
+  }
+
+  applyLayerOrder() {
+    const { order } = this.layerState;
+    const { paneZIndex } = this.config.layerState;
+
+    order.forEach((layerKey, index) => {
+      this.map.getPane(this.getLayerPane(layerKey)).style.zIndex =
+        paneZIndex + order.length - index;
+    });
+
+    // Sidebar rows follow the stacking order; other rows stay below them
+    const rows = order
+      .map((layerKey) =>
+        this.getLayerCheckbox(layerKey)?.closest(".layer-item")
+      )
+      .filter(Boolean);
+    if (rows.length === 0) return;
+
+    const container = rows[0].parentNode;
+    const anchor = [...container.children].find((row) => !rows.includes(row));
+    rows.forEach((row) => container.insertBefore(row, anchor || null));
+  }
+
+  updateLayerAdjustControls() {
+    const layerKey = document.getElementById("layer-adjust-key")?.value;
+    if (!layerKey) return;
+
+    const opacity = this.layerState.opacity[layerKey];
+    const index = this.layerState.order.indexOf(layerKey);
+    const opacityInput = document.getElementById("layer-opacity");
+    const opacityValue = document.getElementById("layer-opacity-value");
+
+    if (opacityInput) opacityInput.value = opacity;
+    if (opacityValue) {
+      opacityValue.textContent = `${Math.round(opacity * 100)}%`;
+    }
+    document.getElementById("layer-forward").disabled = index === 0;
+    document.getElementById("layer-backward").disabled =
+      index === this.layerState.order.length - 1;
+  }
+
+  createLayerControl() {
+    this.layerControl?.remove();
+
+    const rank = (layer) => {
+      const index = this.layerState.order.indexOf(this.findLayerKey(layer));
+      return index < 0 ? this.layerState.order.length : index;
+    };
+
+    this.layerControl = L.control
+      .layers(this.baseMaps, this.overlayMaps, {
+        position: "topright",
+        collapsed: true,
+        // Data layers front to back, like the sidebar
+        sortLayers: true,
+        sortFunction: (a, b) => rank(a) - rank(b),
+      })
+      .addTo(this.map);
+  }
+
+  /**
+   * ===============================================
+   * CLUSTERING METHODS
+   * ===============================================
+   */
+  createClusterGroup(layerKey) {
+    const config = this.layerConfigs[layerKey];
+    const clusterGroup = L.markerClusterGroup({
+      maxClusterRadius: this.config.clustering.maxClusterRadius,
+      showCoverageOnHover: false,
+      clusterPane: this.getLayerPane(layerKey),
+      // Identical coordinates never split apart, so fan them out instead
+      spiderfyOnMaxZoom: true,
+      iconCreateFunction: (cluster) => this.createClusterIcon(cluster, config),
+    });
+
+    clusterGroup.addLayers(this.layerGroups[layerKey].getLayers());
+    return clusterGroup;
+  }
+
+  createClusterIcon(cluster, config) {
+    const count = cluster.getChildCount();
+    const size = count < 10 ? 34 : count < 50 ? 40 : 48;
+
+    return L.divIcon({
+      className: "facility-cluster",
+      html: `
+        <div style="background: ${config.color};">
+          <i class="${config.icon}"></i><span aria-hidden="true">${count}</span>
+          <span class="visually-hidden">
+            ${t("cluster.label", { count, category: config.name })}
+          </span>
+        </div>
+      `,
+      iconSize: L.point(size, size),
+    });
+  }
+
+  getDisplayLayer(layerKey) {
+    return this.clusterGroups[layerKey] || this.layerGroups[layerKey];
+  }
+
+  isLayerVisible(layerKey) {
+    const displayLayer = this.getDisplayLayer(layerKey);
+    return Boolean(displayLayer && this.map.hasLayer(displayLayer));
+  }
+
+  getClusteringPreferences() {
+    try {
+      return (
+        JSON.parse(localStorage.getItem(this.config.clustering.storageKey)) ||
+        {}
+      );
+    } catch (error) {
+      console.warn("Could not read clustering preferences:", error);
+      return {};
+    }
+  }
+
+  isClusteringEnabled(layerKey) {
+    if (layerKey === "jalan") return false;
+    return (
+      this.getClusteringPreferences()[layerKey] ??
+      this.config.clustering.defaultEnabled
+    );
+  }
+
+  setClustering(layerKey, enabled) {
+    const layerGroup = this.layerGroups[layerKey];
+    const config = this.layerConfigs[layerKey];
+
+    const preferences = this.getClusteringPreferences();
+    preferences[layerKey] = enabled;
+    try {
+      localStorage.setItem(
+        this.config.clustering.storageKey,
+        JSON.stringify(preferences)
+      );
+    } catch (error) {
+      console.warn("Could not save clustering preferences:", error);
+    }
+    this.updateClusterToggle(layerKey);
+
+    if (!layerGroup || Boolean(this.clusterGroups[layerKey]) === enabled) {
+      return;
+    }
+
+    // Swap the layer shown on the map (and in the layer control). The old
+    // layer leaves the control first, so its removal is not reported as
+    // the user hiding it.
+    const wasVisible = this.isLayerVisible(layerKey);
+    const oldDisplayLayer = this.getDisplayLayer(layerKey);
+    this.layerControl?.removeLayer(oldDisplayLayer);
+    this.map.removeLayer(oldDisplayLayer);
+
+    if (enabled) {
+      this.clusterGroups[layerKey] = this.createClusterGroup(layerKey);
+    } else {
+      this.clusterGroups[layerKey].clearLayers();
+      delete this.clusterGroups[layerKey];
+    }
+
+    const displayLayer = this.getDisplayLayer(layerKey);
+    this.overlayMaps[config.name] = displayLayer;
+    this.layerControl?.addOverlay(displayLayer, config.name);
+    if (wasVisible) {
+      this.map.addLayer(displayLayer);
+    }
+  }
+
+  setupClusterToggles() {
+    document.querySelectorAll(".cluster-toggle").forEach((button) => {
+      const layerKey = button.dataset.layer;
+      this.updateClusterToggle(layerKey);
+
+      button.addEventListener("click", () => {
+        this.setClustering(layerKey, !this.isClusteringEnabled(layerKey));
+      });
+    });
+  }
+
+  updateClusterToggle(layerKey) {
+    const button = document.querySelector(
+      `.cluster-toggle[data-layer="${layerKey}"]`
+    );
+    if (!button) return;
+
+    const enabled = this.isClusteringEnabled(layerKey);
+    button.classList.toggle("active", enabled);
+    button.setAttribute("aria-pressed", String(enabled));
+    button.title = t(enabled ? "cluster.disable" : "cluster.enable");
+  }
+
+  /**
+   * Pans/zooms to a feature and opens it as if it had been clicked,
+   * spiderfying or expanding its cluster when needed.
+   */
+  focusFeatureLayer(layerKey, layer, zoom) {
+    if (!this.isLayerVisible(layerKey)) {
+      this.setLayerVisibility(layerKey, true);
+    }
+
+    // Same handlers as a click: opens the popup and fills the info panel
+    const openLayer = () => layer.fire("click");
+
+    if (!layer.getLatLng) {
+      this.map.fitBounds(layer.getBounds(), { maxZoom: zoom });
+      openLayer();
+      return;
+    }
+
+    this.map.setView(layer.getLatLng(), zoom);
+
+    const clusterGroup = this.clusterGroups[layerKey];
+    if (clusterGroup) {
+      clusterGroup.zoomToShowLayer(layer, openLayer);
+    } else {
+      openLayer();
+    }
+  }
+
+  /**
+   * ===============================================
+   * POPUP CREATION METHODS
+   * ===============================================
+   */
+  createRoadPopup(roadName) {
+    return `
+      <div class="popup-title">🛣️ ${roadName}</div>
+      <div class="popup-category">${t("road.network")}</div>
+    `;
+  }
+
+  createFacilityPopup(name, category, alamat, properties) {
+    const config = this.layerConfigs[this.categoryMapping[category]];
+    let popupContent = `
+      <div class="popup-title">
+        <i class="${config?.icon || "fas fa-map-marker"}" style="color: ${
+      config?.color || "#666"
+    }; margin-right: 5px;"></i>
+        ${this.escapeHtml(name)}
+      </div>
+      <div class="popup-category">${this.escapeHtml(
+        this.getCategoryLabel(category)
+      )}</div>
+    `;
+
+    popupContent += this.createFacilityContactHtml(properties);
+
+    if (alamat) {
+      popupContent += `<div class="popup-address"><i class="fas fa-map-marker-alt"></i> ${this.escapeHtml(
+        alamat
+      )}</div>`;
+    }
+
+    const photos = this.getFacilityPhotos(properties);
+    if (photos.length > 0) {
+      popupContent += `
+        <button type="button" class="popup-photo" data-gallery="${
+          properties.id
+        }" data-index="0" aria-label="${this.escapeHtml(
+        t("gallery.viewPhotos", { count: photos.length, name })
+      )}">
+          <img src="${photos[0].src}" alt="">
+          ${
+            photos.length > 1
+              ? `<span class="photo-count"><i class="fas fa-images"></i> ${photos.length}</span>`
+              : ""
+          }
+        </button>
+      `;
+    }
+
+    return popupContent;
+  }
+
+  /**
+   * ===============================================
+   * ADMIN STATUS & UI METHODS
+   * ===============================================
+   */
+  async checkAdminStatus() {
+    try {
+      const response = await fetch(this.config.apiEndpoints.authCheck);
+      const result = await response.json();
+      const adminButtons = document.querySelector(".admin-buttons");
+
+      if (result.success && result.data?.authenticated) {
+        this.renderLoggedInAdminButtons(adminButtons, result.data.user);
+      } else {
         this.renderLoggedOutAdminButtons(adminButtons);
       }
     } catch (error) {
@@ -431,174 +1527,4493 @@ class GISCirendeuApp {
 
   renderLoggedInAdminButtons(container, user) {
     container.innerHTML = `
-      <a href="admin/dashboard.html" class="admin-btn" title="Dashboard Admin">
+      <a href="admin/dashboard.html" class="admin-btn" title="${t(
+        "admin.dashboard"
+      )}">
         <i class="fas fa-tachometer-alt"></i>
-        <span>Dashboard Admin</span>
+        <span>${t("admin.dashboard")}</span>
       </a>
-      <a href="admin/fasilitas.html" class="admin-btn" title="Kelola Fasilitas">
+      <a href="admin/fasilitas.html" class="admin-btn" title="${t(
+        "admin.manageFacilities"
+      )}">
         <i class="fas fa-map-marker-alt"></i>
-        <span>Kelola Fasilitas</span>
+        <span>${t("admin.manageFacilities")}</span>
       </a>
-      <button class="admin-btn secondary" onclick="window.logoutAdmin()" title="Logout Admin">
+      <button class="admin-btn secondary" onclick="window.logoutAdmin()" title="${t(
+        "admin.logout"
+      )}">
         <i class="fas fa-sign-out-alt"></i>
-        <span>Logout (${user.nama})</span>
+        <span>${t("admin.logoutAs", { name: user.nama })}</span>
       </button>
     `;
   }
 
   renderLoggedOutAdminButtons(container) {
     container.innerHTML = `
-      <a href="admin/login.html" class="admin-btn" title="Login sebagai Admin">
+      <a href="admin/login.html" class="admin-btn" title="${t(
+        "admin.loginTitle"
+      )}">
         <i class="fas fa-sign-in-alt"></i>
-        <span>Login Admin</span>
+        <span>${t("admin.login")}</span>
       </a>
     `;
   }
 
   async logoutAdmin() {
-    if (confirm("Apakah Anda yakin ingin logout?")) {
+    if (confirm(t("admin.confirmLogout"))) {
       try {
         await fetch(this.config.apiEndpoints.authLogout, { method: "DELETE" });
         this.checkAdminStatus();
-        this.showSuccessMessage("Logout berhasil");
+        this.showSuccessMessage(t("admin.logoutSuccess"));
       } catch (error) {
         console.error("Logout error:", error);
-        this.showError("Gagal logout");
+        this.showError(t("admin.logoutFailed"));
       }
     }
   }
 
   /**
    * ===============================================
-   * STATISTICS & INFO METHODS
+   * STATISTICS & INFO METHODS
+   * ===============================================
+   */
+  async updateStatistics() {
+    try {
+      await this.loadStatisticsFromAPI();
+    } catch (error) {
+      console.warn(
+        "Failed to load stats from API, calculating from local data:",
+        error
+      );
+      this.calculateLocalStatistics();
+    }
+
+    this.renderStatistics();
+    this.updateLegend();
+  }
+
+  async loadStatisticsFromAPI() {
+    const response = await fetch(this.config.apiEndpoints.facilitiesStats);
+
+    if (!response.ok) {
+      throw new Error("Failed to fetch stats from API");
+    }
+
+    const result = await response.json();
+
+    if (!result.success || !result.data) {
+      throw new Error("Invalid API response");
+    }
+
+    this.processAPIStatistics(result.data);
+  }
+
+  processAPIStatistics(apiStats) {
+    this.stats = { jalan: this.getJalanData().features.length };
+    Object.values(this.categoryMapping).forEach((layerKey) => {
+      this.stats[layerKey] = 0;
+    });
+
+    if (apiStats.by_category) {
+      apiStats.by_category.forEach((item) => {
+        const key = this.categoryMapping[item.kategori];
+        if (key) {
+          this.stats[key] = parseInt(item.count);
+        }
+      });
+    }
+  }
+
+  calculateLocalStatistics() {
+    const facilitiesByCategory = this.groupFacilitiesByCategory();
+
+    this.stats = { jalan: this.getJalanData().features.length };
+    Object.entries(this.categoryMapping).forEach(([category, layerKey]) => {
+      this.stats[layerKey] = facilitiesByCategory[category]?.length || 0;
+    });
+  }
+
+  renderStatistics() {
+    const statsContent = document.getElementById("stats-content");
+    if (!statsContent) return;
+
+    // An active radius analysis takes over the panel until it is cleared
+    if (this.bufferAnalysis) {
+      statsContent.innerHTML = this.renderBufferStatistics();
+      return;
+    }
+
+    statsContent.innerHTML = this.renderStatsEntries(this.stats);
+  }
+
+  renderStatsEntries(stats) {
+    // Roads first, then the categories in API order
+    const keys = [
+      "jalan",
+      ...Object.keys(this.layerConfigs).filter((key) => key !== "jalan"),
+    ];
+
+    return keys
+      .map((key) => {
+        const config = this.layerConfigs[key];
+        const count = stats[key] || 0;
+        return `
+          <div class="stat-item">
+            <span><i class="${config.icon}" style="color: ${config.color}; margin-right: 5px;"></i>${config.name}</span>
+            <span class="stat-count">${count}</span>
+          </div>
+        `;
+      })
+      .join("");
+  }
+
+  updateFeatureInfo(category, name, description, alamat = "", properties = {}) {
+    const infoPanel = document.getElementById("feature-info");
+    if (!infoPanel) return;
+
+    let infoContent = `
+      <div class="feature-info-update">
+        <h4 style="color: #ffd700; margin-bottom: 5px;">${this.escapeHtml(
+          category
+        )}</h4>
+        <p style="font-weight: bold; margin-bottom: 5px;">${this.escapeHtml(
+          name
+        )}</p>
+        <p style="font-size: 0.9em; opacity: 0.8; margin-bottom: 10px;">${this.escapeHtml(
+          description
+        )}</p>
+    `;
+
+    if (alamat) {
+      infoContent += `<p style="font-size: 0.8em; opacity: 0.7;"><i class="fas fa-map-marker-alt"></i> ${this.escapeHtml(
+        alamat
+      )}</p>`;
+    }
+
+    infoContent += this.createFacilityContactHtml(properties);
+
+    const photos = this.getFacilityPhotos(properties);
+    if (photos.length > 0) {
+      infoContent += `
+        <div class="info-photos">
+          ${photos
+            .map(
+              (photo, index) => `
+                <button type="button" data-gallery="${
+                  properties.id
+                }" data-index="${index}"
+                  aria-label="${t("gallery.photoOf", {
+                    index: index + 1,
+                    count: photos.length,
+                  })}">
+                  <img src="${photo.src}" alt="${this.escapeHtml(
+                photo.caption
+              )}">
+                </button>
+              `
+            )
+            .join("")}
+        </div>
+      `;
+    }
+
+    infoContent += "</div>";
+    infoPanel.innerHTML = infoContent;
+  }
+
+  /**
+   * ===============================================
+   * OPENING HOURS METHODS
+   * ===============================================
+   */
+  // "08:00-16:00" -> minutes since midnight; ranges that end at or before
+  // their start run past midnight
+  parseTimeRange(range) {
+    const [start, end] = range.split("-").map((time) => {
+      const [hours, minutes] = time.split(":").map(Number);
+      return hours * 60 + minutes;
+    });
+    return { start, end: end <= start ? end + 24 * 60 : end };
+  }
+
+  // null when the facility has no jam_buka data
+  getOpeningStatus(properties, now = new Date()) {
+    const hours = properties?.jam_buka;
+    if (!hours || typeof hours !== "object") return null;
+
+    const days = this.config.openingDays;
+    const today = hours[days[now.getDay()]] || [];
+    const yesterday = hours[days[(now.getDay() + 6) % 7]] || [];
+    const minutes = now.getHours() * 60 + now.getMinutes();
+
+    const open =
+      today
+        .map((range) => this.parseTimeRange(range))
+        .some(({ start, end }) => minutes >= start && minutes < end) ||
+      yesterday
+        .map((range) => this.parseTimeRange(range))
+        .some(({ end }) => minutes + 24 * 60 < end);
+
+    return { open, today };
+  }
+
+  formatOpeningHours(ranges) {
+    if (ranges.length === 0) return t("hours.closed");
+    if (ranges.includes("00:00-24:00")) return t("hours.allDay");
+
+    return ranges
+      .map((range) => range.replace(/:/g, ".").replace("-", "–"))
+      .join(", ");
+  }
+
+  createFacilityContactHtml(properties = {}) {
+    let html = "";
+
+    const status = this.getOpeningStatus(properties);
+    if (status) {
+      html += `
+        <div class="facility-hours">
+          <span class="open-badge ${status.open ? "open" : "closed"}">
+            ${t(status.open ? "hours.open" : "hours.closed")}
+          </span>
+          ${t("hours.today", { hours: this.formatOpeningHours(status.today) })}
+        </div>
+      `;
+    }
+
+    if (properties.telepon) {
+      html += `
+        <div class="facility-contact">
+          <i class="fas fa-phone"></i>
+          <a href="tel:${properties.telepon.replace(
+            /[^\d+]/g,
+            ""
+          )}">${this.escapeHtml(properties.telepon)}</a>
+        </div>
+      `;
+    }
+
+    if (properties.website) {
+      let label = properties.website;
+      try {
+        label = new URL(properties.website).hostname;
+      } catch (error) {
+        // Show the stored value as is
+      }
+      html += `
+        <div class="facility-contact">
+          <i class="fas fa-globe"></i>
+          <a href="${this.escapeHtml(
+            properties.website
+          )}" target="_blank" rel="noopener">${this.escapeHtml(label)}</a>
+        </div>
+      `;
+    }
+
+    return html;
+  }
+
+  setupOpenNowFilter() {
+    document
+      .getElementById("filter-open-now")
+      ?.addEventListener("change", (e) => {
+        this.setOpenNowFilter(e.target.checked);
+      });
+  }
+
+  setOpenNowFilter(enabled) {
+    this.openNowOnly = enabled;
+    clearInterval(this.openNowTimer);
+    this.applyFacilityFilters();
+
+    if (!enabled) return;
+
+    // Facilities open and close as the clock moves on
+    this.openNowTimer = setInterval(() => this.applyFacilityFilters(), 60000);
+
+    const features = this.facilitiesData?.features || [];
+    const withHours = features.filter((f) =>
+      this.getOpeningStatus(f.properties)
+    );
+    const open = withHours.filter(
+      (f) => this.getOpeningStatus(f.properties).open
+    );
+
+    if (withHours.length === 0) {
+      this.showNotification(t("hours.noData"), "warning");
+    } else {
+      this.showNotification(
+        t("hours.openCount", { open: open.length, count: withHours.length }),
+        "info"
+      );
+    }
+  }
+
+  applyFacilityFilters() {
+    this.syncFacilityLayers(this.groupFacilitiesByCategory());
+    this.updateCatchmentLayer();
+    this.updateHeatmapLayer();
+  }
+
+  /**
+   * ===============================================
+   * PHOTO GALLERY METHODS
+   * ===============================================
+   */
+  // galeri comes from api/fasilitas.php; older data only has foto_fasilitas
+  getFacilityPhotos(properties = {}) {
+    if (Array.isArray(properties.galeri) && properties.galeri.length > 0) {
+      return properties.galeri.map((photo) => ({
+        src: `uploads/${photo.nama_file}`,
+        caption: photo.keterangan || "",
+      }));
+    }
+    if (properties.foto_fasilitas) {
+      return [{ src: `uploads/${properties.foto_fasilitas}`, caption: "" }];
+    }
+    return [];
+  }
+
+  setupPhotoGallery() {
+    const lightbox = document.getElementById("photo-lightbox");
+    if (!lightbox) return;
+
+    // Popups and the info panel are re-rendered, so listen at the document
+    document.addEventListener("click", (e) => {
+      const trigger = e.target.closest("[data-gallery]");
+      if (!trigger) return;
+
+      e.preventDefault();
+      this.openPhotoGallery(
+        trigger.dataset.gallery,
+        parseInt(trigger.dataset.index, 10) || 0
+      );
+    });
+
+    lightbox
+      .querySelector(".lightbox-close")
+      .addEventListener("click", () => this.closePhotoGallery());
+    lightbox
+      .querySelector(".lightbox-prev")
+      .addEventListener("click", () => this.stepPhotoGallery(-1));
+    lightbox
+      .querySelector(".lightbox-next")
+      .addEventListener("click", () => this.stepPhotoGallery(1));
+
+    // Clicking the dark backdrop closes the viewer
+    lightbox.addEventListener("click", (e) => {
+      if (e.target === lightbox) this.closePhotoGallery();
+    });
+
+    lightbox.addEventListener("keydown", (e) => {
+      if (e.key === "ArrowLeft") this.stepPhotoGallery(-1);
+      if (e.key === "ArrowRight") this.stepPhotoGallery(1);
+    });
+
+    // Horizontal swipe on touch screens
+    let touchStart = null;
+    lightbox.addEventListener(
+      "touchstart",
+      (e) => {
+        const touch = e.changedTouches[0];
+        touchStart = { x: touch.clientX, y: touch.clientY };
+      },
+      { passive: true }
+    );
+    lightbox.addEventListener("touchend", (e) => {
+      if (!touchStart) return;
+
+      const touch = e.changedTouches[0];
+      const dx = touch.clientX - touchStart.x;
+      const dy = touch.clientY - touchStart.y;
+      touchStart = null;
+
+      if (Math.abs(dx) > 50 && Math.abs(dx) > Math.abs(dy)) {
+        this.stepPhotoGallery(dx < 0 ? 1 : -1);
+      }
+    });
+  }
+
+  openPhotoGallery(facilityId, index = 0) {
+    const feature = this.facilitiesData?.features.find(
+      (f) => String(f.properties.id) === String(facilityId)
+    );
+    const photos = this.getFacilityPhotos(feature?.properties);
+    if (photos.length === 0) return;
+
+    const lightbox = document.getElementById("photo-lightbox");
+    this.gallery = {
+      photos,
+      index: 0,
+      name: this.extractFacilityName(feature.properties),
+      returnFocus: document.activeElement,
+    };
+
+    lightbox.hidden = false;
+    lightbox.classList.toggle("single", photos.length === 1);
+    this.showGalleryPhoto(index);
+    lightbox.querySelector(".lightbox-close").focus();
+  }
+
+  showGalleryPhoto(index) {
+    const gallery = this.gallery;
+    if (!gallery) return;
+
+    const count = gallery.photos.length;
+    gallery.index = ((index % count) + count) % count;
+    const photo = gallery.photos[gallery.index];
+
+    const image = document.getElementById("lightbox-image");
+    image.src = photo.src;
+    image.alt = photo.caption || t("gallery.photoAlt", { name: gallery.name });
+    document.getElementById("lightbox-caption").textContent =
+      photo.caption || gallery.name;
+    document.getElementById("lightbox-counter").textContent = `${
+      gallery.index + 1
+    } / ${count}`;
+
+    // Warm the cache for the next photo
+    if (count > 1) {
+      new Image().src = gallery.photos[(gallery.index + 1) % count].src;
+    }
+  }
+
+  stepPhotoGallery(step) {
+    if (this.gallery) this.showGalleryPhoto(this.gallery.index + step);
+  }
+
+  closePhotoGallery() {
+    if (!this.gallery) return;
+
+    document.getElementById("photo-lightbox").hidden = true;
+    this.gallery.returnFocus?.focus?.();
+    this.gallery = null;
+  }
+
+  /**
+   * ===============================================
+   * REFRESH METHODS
+   * ===============================================
+   */
+  async refreshMap() {
+    if (this.isRefreshing) return;
+    this.isRefreshing = true;
+
+    try {
+      const openKey = this.findOpenPopupKey();
+      const loaded = await this.loadFacilitiesData();
+      const changes = this.syncFacilityLayers(this.groupFacilitiesByCategory());
+
+      this.buildSearchIndex();
+      this.populateRouteOptions();
+      this.updateCatchmentLayer();
+      this.updateHeatmapLayer();
+      await this.updateStatistics();
+      this.restoreOpenPopup(openKey);
+
+      if (!loaded) {
+        this.showNotification(t("refresh.offline"), "warning");
+      } else if (changes.added + changes.updated + changes.removed === 0) {
+        this.showNotification(t("refresh.upToDate"), "info");
+      } else {
+        this.showSuccessMessage(t("refresh.updated", changes));
+      }
+    } catch (error) {
+      console.error("Error refreshing map:", error);
+      this.showError(t("refresh.failed"));
+    } finally {
+      this.isRefreshing = false;
+    }
+  }
+
+  syncFacilityLayers(facilitiesByCategory) {
+    const changes = { added: 0, updated: 0, removed: 0 };
+
+    // Index incoming features by layer key and feature key
+    const incoming = {};
+    Object.entries(facilitiesByCategory).forEach(([category, features]) => {
+      const layerKey = this.categoryMapping[category];
+      if (!layerKey || !this.layerConfigs[layerKey]) {
+        console.warn(`No config found for category: ${category}`);
+        return;
+      }
+
+      incoming[layerKey] = new Map(
+        features.map((feature) => [this.getFeatureKey(feature), feature])
+      );
+    });
+
+    Object.keys(this.categoryMapping).forEach((category) => {
+      const layerKey = this.categoryMapping[category];
+      const features = incoming[layerKey] || new Map();
+      let layerGroup = this.layerGroups[layerKey];
+
+      if (!layerGroup) {
+        if (features.size === 0) return;
+        layerGroup = this.addFacilityLayerGroup(layerKey);
+      }
+
+      // Update or remove what is already on the map
+      layerGroup.getLayers().forEach((layer) => {
+        const key = this.getFeatureKey(layer.feature);
+        const feature = features.get(key);
+
+        if (!feature) {
+          layerGroup.removeLayer(layer);
+          changes.removed++;
+          return;
+        }
+
+        if (this.hasFeatureChanged(layer.feature, feature)) {
+          this.updateFeatureLayer(layer, feature);
+          changes.updated++;
+        }
+        features.delete(key);
+      });
+
+      // Whatever is left is new
+      features.forEach((feature) => {
+        layerGroup.addData(feature);
+        changes.added++;
+      });
+    });
+
+    this.updateFacilityListView();
+    this.updateFacilityBrowser();
+    return changes;
+  }
+
+  hasFeatureChanged(oldFeature, newFeature) {
+    return (
+      JSON.stringify(oldFeature.properties) !==
+        JSON.stringify(newFeature.properties) ||
+      JSON.stringify(oldFeature.geometry) !==
+        JSON.stringify(newFeature.geometry)
+    );
+  }
+
+  updateFeatureLayer(layer, feature) {
+    const [lng, lat] = feature.geometry.coordinates;
+
+    layer.feature = feature;
+    layer.setLatLng([lat, lng]);
+
+    // Re-render popup content from the new properties if it is open
+    if (layer.isPopupOpen()) {
+      layer.getPopup().update();
+    }
+  }
+
+  findOpenPopupKey() {
+    let openKey = null;
+
+    Object.entries(this.layerGroups).forEach(([layerKey, layerGroup]) => {
+      if (layerKey === "jalan") return;
+      layerGroup.eachLayer((layer) => {
+        if (layer.isPopupOpen()) {
+          openKey = this.getFeatureKey(layer.feature);
+        }
+      });
+    });
+
+    return openKey;
+  }
+
+  restoreOpenPopup(openKey) {
+    if (!openKey || this.findOpenPopupKey() === openKey) return;
+
+    Object.entries(this.layerGroups).forEach(([layerKey, layerGroup]) => {
+      if (layerKey === "jalan" || !this.isLayerVisible(layerKey)) return;
+      layerGroup.eachLayer((layer) => {
+        if (this.getFeatureKey(layer.feature) === openKey) {
+          layer.openPopup();
+        }
+      });
+    });
+  }
+
+  /**
+   * ===============================================
+   * SEARCH METHODS
+   * ===============================================
+   */
+  setupSearch() {
+    const input = document.getElementById("facility-search");
+    const results = document.getElementById("search-results");
+    if (!input || !results) return;
+
+    this.searchActiveIndex = -1;
+    this.searchMatches = [];
+
+    input.addEventListener(
+      "input",
+      debounce(() => this.handleSearchInput(input.value), 150)
+    );
+
+    input.addEventListener("keydown", (e) => {
+      switch (e.key) {
+        case "ArrowDown":
+          e.preventDefault();
+          this.moveSearchSelection(1);
+          break;
+        case "ArrowUp":
+          e.preventDefault();
+          this.moveSearchSelection(-1);
+          break;
+        case "Enter":
+          e.preventDefault();
+          this.selectSearchResult(Math.max(this.searchActiveIndex, 0));
+          break;
+        case "Escape":
+          input.value = "";
+          this.hideSearchResults();
+          break;
+      }
+    });
+
+    results.addEventListener("mousedown", (e) => {
+      const item = e.target.closest("[data-search-index]");
+      if (item) {
+        e.preventDefault();
+        this.selectSearchResult(parseInt(item.dataset.searchIndex));
+      }
+    });
+
+    input.addEventListener("blur", () => this.hideSearchResults());
+    input.addEventListener("focus", () => {
+      if (input.value) this.handleSearchInput(input.value);
+    });
+  }
+
+  buildSearchIndex() {
+    this.searchIndex = [];
+
+    Object.entries(this.layerGroups).forEach(([layerKey, layerGroup]) => {
+      const config = this.layerConfigs[layerKey];
+
+      layerGroup.eachLayer((layer) => {
+        const properties = layer.feature?.properties || {};
+        const isRoad = layerKey === "jalan";
+        const name = isRoad
+          ? properties.jalan || t("road.unnamed")
+          : this.extractFacilityName(properties);
+        const address = properties.alamat || "";
+        const description = isRoad
+          ? t("road.network")
+          : properties.deskripsi || this.getCategoryDescription(layerKey);
+
+        this.searchIndex.push({
+          layerKey,
+          layer,
+          name,
+          address,
+          category: isRoad
+            ? config.name
+            : this.getCategoryLabel(properties.kategori) || config.name,
+          fields: [
+            { tokens: this.tokenizeSearchText(name), weight: 1 },
+            { tokens: this.tokenizeSearchText(address), weight: 0.6 },
+            { tokens: this.tokenizeSearchText(description), weight: 0.4 },
+          ],
+          compactName: this.normalizeSearchText(name).replace(/\s/g, ""),
+        });
+      });
+    });
+  }
+
+  handleSearchInput(query) {
+    const normalized = this.normalizeSearchText(query);
+
+    if (normalized.length < this.config.search.minQueryLength) {
+      this.hideSearchResults();
+      return;
+    }
+
+    this.searchMatches = this.searchFeatures(normalized);
+    this.searchActiveIndex = this.searchMatches.length > 0 ? 0 : -1;
+    this.renderSearchResults();
+  }
+
+  searchFeatures(normalizedQuery) {
+    const queryTokens = normalizedQuery.split(" ");
+    const compactQuery = normalizedQuery.replace(/\s/g, "");
+
+    return this.searchIndex
+      .map((entry) => {
+        // Spacing-insensitive match, e.g. "jl.mekar" vs "jl. mekar"
+        if (entry.compactName.startsWith(compactQuery)) {
+          return { entry, score: 1.2 };
+        }
+        if (entry.compactName.includes(compactQuery)) {
+          return { entry, score: 1 };
+        }
+
+        let total = 0;
+        for (const queryToken of queryTokens) {
+          const best = Math.max(
+            ...entry.fields.map(
+              ({ tokens, weight }) =>
+                this.scoreSearchToken(queryToken, tokens) * weight
+            )
+          );
+          if (best === 0) return null;
+          total += best;
+        }
+
+        return { entry, score: total / queryTokens.length };
+      })
+      .filter((match) => match && match.score > 0)
+      .sort(
+        (a, b) => b.score - a.score || a.entry.name.localeCompare(b.entry.name)
+      )
+      .slice(0, this.config.search.maxResults)
+      .map(({ entry }) => entry);
+  }
+
+  scoreSearchToken(queryToken, tokens) {
+    let best = 0;
+
+    for (const token of tokens) {
+      if (token === queryToken) return 1;
+
+      if (token.startsWith(queryToken)) {
+        best = Math.max(best, 0.9);
+      } else if (queryToken.length >= 3 && token.includes(queryToken)) {
+        best = Math.max(best, 0.75);
+      } else if (queryToken.length >= 4) {
+        // Allow one typo for short words, two for longer ones
+        const maxEdits = queryToken.length > 6 ? 2 : 1;
+        const candidate = token.slice(0, queryToken.length + maxEdits);
+        const distance = Math.min(
+          this.levenshteinDistance(queryToken, token),
+          this.levenshteinDistance(queryToken, candidate)
+        );
+        if (distance <= maxEdits) {
+          best = Math.max(best, 0.7 - distance * 0.15);
+        }
+      }
+    }
+
+    return best;
+  }
+
+  normalizeSearchText(text) {
+    return String(text || "")
+      .toLowerCase()
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f'’`]/g, "")
+      .replace(/[^a-z0-9]+/g, " ")
+      .replace(/\b(jl|jln)\b/g, "jalan")
+      .trim();
+  }
+
+  tokenizeSearchText(text) {
+    const normalized = this.normalizeSearchText(text);
+    return normalized ? normalized.split(" ") : [];
+  }
+
+  levenshteinDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+
+  renderSearchResults() {
+    const results = document.getElementById("search-results");
+    if (!results) return;
+
+    if (this.searchMatches.length === 0) {
+      results.innerHTML = `<div class="search-empty">${t(
+        "search.noResults"
+      )}</div>`;
+      results.classList.add("visible");
+      return;
+    }
+
+    results.innerHTML = this.searchMatches
+      .map((entry, index) => {
+        const config = this.layerConfigs[entry.layerKey];
+        const activeClass = index === this.searchActiveIndex ? " active" : "";
+        const subtitle = entry.address || entry.category;
+
+        return `
+          <div class="search-result${activeClass}" data-search-index="${index}">
+            <i class="${config.icon}" style="color: ${config.color};"></i>
+            <div class="search-result-text">
+              <div class="search-result-name">${this.escapeHtml(
+                entry.name
+              )}</div>
+              <div class="search-result-meta">${this.escapeHtml(subtitle)}</div>
+            </div>
+          </div>
+        `;
+      })
+      .join("");
+    results.classList.add("visible");
+  }
+
+  moveSearchSelection(step) {
+    if (this.searchMatches.length === 0) return;
+
+    const count = this.searchMatches.length;
+    this.searchActiveIndex = (this.searchActiveIndex + step + count) % count;
+    this.renderSearchResults();
+  }
+
+  selectSearchResult(index) {
+    const entry = this.searchMatches[index];
+    if (!entry) return;
+
+    const input = document.getElementById("facility-search");
+    if (input) input.value = entry.name;
+    this.hideSearchResults();
+
+    this.focusFeatureLayer(
+      entry.layerKey,
+      entry.layer,
+      this.config.search.focusZoom
+    );
+  }
+
+  hideSearchResults() {
+    const results = document.getElementById("search-results");
+    if (results) {
+      results.classList.remove("visible");
+      results.innerHTML = "";
+    }
+    this.searchActiveIndex = -1;
+  }
+
+  /**
+   * ===============================================
+   * ROUTING METHODS
+   * ===============================================
+   */
+  setupRouting() {
+    const findBtn = document.getElementById("route-find");
+    const clearBtn = document.getElementById("route-clear");
+
+    if (findBtn) {
+      findBtn.addEventListener("click", () => this.handleRouteRequest());
+    }
+    if (clearBtn) {
+      clearBtn.addEventListener("click", () => this.clearRoute());
+    }
+  }
+
+  populateRouteOptions() {
+    const selects = [
+      document.getElementById("route-start"),
+      document.getElementById("route-end"),
+    ].filter(Boolean);
+
+    selects.forEach((select) => {
+      const previous = select.value;
+
+      // Keep the static placeholder / "my location" options
+      select.querySelectorAll("optgroup").forEach((group) => group.remove());
+
+      Object.entries(this.layerGroups).forEach(([layerKey, layerGroup]) => {
+        if (layerKey === "jalan") return;
+
+        const options = layerGroup
+          .getLayers()
+          .map((layer) => ({
+            value: `${layerKey}|${this.getFeatureKey(layer.feature)}`,
+            name: this.extractFacilityName(layer.feature.properties),
+          }))
+          .sort((a, b) => a.name.localeCompare(b.name));
+        if (options.length === 0) return;
+
+        const group = document.createElement("optgroup");
+        group.label = this.layerConfigs[layerKey].name;
+        options.forEach(({ value, name }) => {
+          group.appendChild(new Option(name, value));
+        });
+        select.appendChild(group);
+      });
+
+      select.value = previous;
+    });
+  }
+
+  async handleRouteRequest() {
+    const startValue = document.getElementById("route-start")?.value;
+    const endValue = document.getElementById("route-end")?.value;
+
+    if (!startValue || !endValue) {
+      this.showNotification(t("route.selectPoints"), "warning");
+      return;
+    }
+
+    try {
+      const start = await this.resolveRoutePoint(startValue);
+      const end = await this.resolveRoutePoint(endValue);
+      const route = this.findRoute(start.latlng, end.latlng);
+
+      if (!route) {
+        this.showError(t("route.notFound"));
+        return;
+      }
+
+      this.showRoute(route, start.label, end.label);
+    } catch (error) {
+      console.error("Routing error:", error);
+      this.showError(error.message || t("route.failed"));
+    }
+  }
+
+  async resolveRoutePoint(value) {
+    if (value === "my-location") {
+      const latlng = await this.getUserLocation();
+      return { latlng, label: t("location.mine") };
+    }
+
+    const [layerKey, featureKey] = value.split("|");
+    const layer = this.findFeatureLayer(layerKey, featureKey);
+    if (!layer) {
+      throw new Error(t("route.facilityNotFound"));
+    }
+
+    return {
+      latlng: layer.getLatLng(),
+      label: this.extractFacilityName(layer.feature.properties),
+    };
+  }
+
+  findFeatureLayer(layerKey, featureKey) {
+    const layerGroup = this.layerGroups[layerKey];
+    if (!layerGroup) return null;
+
+    return (
+      layerGroup
+        .getLayers()
+        .find((layer) => this.getFeatureKey(layer.feature) === featureKey) ||
+      null
+    );
+  }
+
+  getUserLocation() {
+    return new Promise((resolve, reject) => {
+      if (!navigator.geolocation) {
+        reject(new Error(t("location.unsupported")));
+        return;
+      }
+
+      navigator.geolocation.getCurrentPosition(
+        (position) => {
+          this.userLocation = L.latLng(
+            position.coords.latitude,
+            position.coords.longitude
+          );
+          resolve(this.userLocation);
+        },
+        () => reject(new Error(t("location.failed"))),
+        { enableHighAccuracy: true, timeout: 10000 }
+      );
+    });
+  }
+
+  getRoadGraph() {
+    if (!this.roadGraph) {
+      this.roadGraph = this.buildRoadGraph(this.getJalanData());
+    }
+    return this.roadGraph;
+  }
+
+  buildRoadGraph(roadData) {
+    const lines = [];
+    roadData.features.forEach((feature) => {
+      const { type, coordinates } = feature.geometry;
+      const parts = type === "MultiLineString" ? coordinates : [coordinates];
+      parts.forEach((part) => {
+        lines.push(part.map(([lng, lat]) => L.latLng(lat, lng)));
+      });
+    });
+
+    // Digitised roads often stop a few metres short of the road they
+    // join, so link each loose end to the closest point on another road
+    const insertions = lines.map(() => []);
+    const connectors = [];
+    lines.forEach((line, lineIndex) => {
+      [line[0], line[line.length - 1]].forEach((end) => {
+        const nearest = this.findNearestPointOnLines(end, lines, lineIndex);
+        if (
+          nearest &&
+          nearest.distance <= this.config.routing.connectTolerance
+        ) {
+          insertions[nearest.lineIndex].push(nearest);
+          connectors.push([end, nearest.latlng]);
+        }
+      });
+    });
+
+    const graph = { nodes: new Map(), segments: [] };
+    const addEdge = (a, b) => {
+      const keyA = this.addGraphNode(graph, a);
+      const keyB = this.addGraphNode(graph, b);
+      if (keyA === keyB) return;
+
+      const weight = a.distanceTo(b);
+      graph.nodes.get(keyA).edges.push({ to: keyB, weight });
+      graph.nodes.get(keyB).edges.push({ to: keyA, weight });
+      graph.segments.push({ a: keyA, b: keyB });
+    };
+
+    lines.forEach((line, lineIndex) => {
+      const points = this.insertLinePoints(line, insertions[lineIndex]);
+      for (let i = 1; i < points.length; i++) {
+        addEdge(points[i - 1], points[i]);
+      }
+    });
+    connectors.forEach(([a, b]) => addEdge(a, b));
+
+    this.connectGraphComponents(graph);
+    return graph;
+  }
+
+  /**
+   * The digitised network has pieces that never meet (e.g. Jl. Pisangan
+   * Raya). Join each piece to the rest at its closest node pair with a
+   * "gap" edge so routing still works; gaps are shown and reported
+   * separately and are never used for snapping.
+   */
+  connectGraphComponents(graph) {
+    const components = this.findGraphComponents(graph);
+    const connected = new Set(components.shift());
+
+    while (components.length > 0) {
+      let best = null;
+
+      components.forEach((component, componentIndex) => {
+        component.forEach((key) => {
+          const latlng = graph.nodes.get(key).latlng;
+          connected.forEach((otherKey) => {
+            const distance = latlng.distanceTo(
+              graph.nodes.get(otherKey).latlng
+            );
+            if (!best || distance < best.distance) {
+              best = { key, otherKey, distance, componentIndex };
+            }
+          });
+        });
+      });
+
+      const { key, otherKey, distance, componentIndex } = best;
+      graph.nodes
+        .get(key)
+        .edges.push({ to: otherKey, weight: distance, gap: true });
+      graph.nodes
+        .get(otherKey)
+        .edges.push({ to: key, weight: distance, gap: true });
+
+      components.splice(componentIndex, 1)[0].forEach((k) => connected.add(k));
+    }
+  }
+
+  findGraphComponents(graph) {
+    const seen = new Set();
+    const components = [];
+
+    graph.nodes.forEach((node, startKey) => {
+      if (seen.has(startKey)) return;
+
+      const component = [];
+      const stack = [startKey];
+      seen.add(startKey);
+      while (stack.length > 0) {
+        const key = stack.pop();
+        component.push(key);
+        graph.nodes.get(key).edges.forEach(({ to }) => {
+          if (!seen.has(to)) {
+            seen.add(to);
+            stack.push(to);
+          }
+        });
+      }
+      components.push(component);
+    });
+
+    // Largest piece first
+    return components.sort((a, b) => b.length - a.length);
+  }
+
+  addGraphNode(graph, latlng) {
+    const key = `${latlng.lat.toFixed(7)},${latlng.lng.toFixed(7)}`;
+    if (!graph.nodes.has(key)) {
+      graph.nodes.set(key, { latlng, edges: [] });
+    }
+    return key;
+  }
+
+  insertLinePoints(line, insertions) {
+    const sorted = [...insertions].sort(
+      (a, b) => a.segmentIndex - b.segmentIndex || a.t - b.t
+    );
+    const points = [line[0]];
+
+    for (let i = 1; i < line.length; i++) {
+      sorted
+        .filter((insertion) => insertion.segmentIndex === i - 1)
+        .forEach((insertion) => points.push(insertion.latlng));
+      points.push(line[i]);
+    }
+
+    return points;
+  }
+
+  findNearestPointOnLines(latlng, lines, skipIndex) {
+    let nearest = null;
+
+    lines.forEach((line, lineIndex) => {
+      if (lineIndex === skipIndex) return;
+
+      for (let i = 1; i < line.length; i++) {
+        const projection = this.projectOntoSegment(
+          latlng,
+          line[i - 1],
+          line[i]
+        );
+        if (!nearest || projection.distance < nearest.distance) {
+          nearest = { ...projection, lineIndex, segmentIndex: i - 1 };
+        }
+      }
+    });
+
+    return nearest;
+  }
+
+  projectOntoSegment(point, a, b) {
+    // Planar approximation around the point; accurate to well under a
+    // metre over the few hundred metres of a road segment
+    const k = Math.cos((point.lat * Math.PI) / 180);
+    const ax = (a.lng - point.lng) * k;
+    const ay = a.lat - point.lat;
+    const dx = (b.lng - a.lng) * k;
+    const dy = b.lat - a.lat;
+    const lengthSq = dx * dx + dy * dy;
+
+    const t =
+      lengthSq === 0
+        ? 0
+        : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSq));
+    const latlng = L.latLng(
+      a.lat + t * (b.lat - a.lat),
+      a.lng + t * (b.lng - a.lng)
+    );
+
+    return { latlng, t, distance: point.distanceTo(latlng) };
+  }
+
+  findNearestRoadPoint(latlng) {
+    const graph = this.getRoadGraph();
+    let nearest = null;
+
+    graph.segments.forEach((segment) => {
+      const projection = this.projectOntoSegment(
+        latlng,
+        graph.nodes.get(segment.a).latlng,
+        graph.nodes.get(segment.b).latlng
+      );
+      if (!nearest || projection.distance < nearest.distance) {
+        nearest = { ...projection, segment };
+      }
+    });
+
+    return nearest;
+  }
+
+  /**
+   * Shortest path along the road network between two arbitrary points.
+   * Both points are snapped to the nearest road; the straight "access"
+   * legs to and from the road are reported separately.
+   */
+  findRoute(from, to) {
+    return this.routeFromSearch(this.createRouteSearch(from), to);
+  }
+
+  /**
+   * Runs Dijkstra once from a point so that routes to many destinations
+   * (see routeFromSearch) can be read off without searching again.
+   */
+  createRouteSearch(from) {
+    const graph = this.getRoadGraph();
+    const start = this.findNearestRoadPoint(from);
+    if (!start) return null;
+
+    if (start.distance > this.config.routing.maxSnapDistance) {
+      throw new Error(t("route.tooFar"));
+    }
+
+    // Seeded from both ends of the start segment
+    const distances = new Map();
+    const previous = new Map();
+    const visited = new Set();
+    [start.segment.a, start.segment.b].forEach((key) => {
+      distances.set(key, start.latlng.distanceTo(graph.nodes.get(key).latlng));
+    });
+
+    while (true) {
+      let current = null;
+      distances.forEach((distance, key) => {
+        if (
+          !visited.has(key) &&
+          (current === null || distance < distances.get(current))
+        ) {
+          current = key;
+        }
+      });
+      if (current === null) break;
+      visited.add(current);
+
+      graph.nodes.get(current).edges.forEach(({ to: next, weight }) => {
+        const distance = distances.get(current) + weight;
+        if (!distances.has(next) || distance < distances.get(next)) {
+          distances.set(next, distance);
+          previous.set(next, current);
+        }
+      });
+    }
+
+    return { from, start, distances, previous };
+  }
+
+  routeFromSearch(search, to) {
+    if (!search) return null;
+
+    const graph = this.getRoadGraph();
+    const { from, start, distances, previous } = search;
+    const end = this.findNearestRoadPoint(to);
+    if (!end) return null;
+
+    if (end.distance > this.config.routing.maxSnapDistance) {
+      throw new Error(t("route.tooFar"));
+    }
+
+    let best = null;
+
+    // Both points on the same road segment: go straight along it
+    if (start.segment === end.segment) {
+      best = {
+        distance: start.latlng.distanceTo(end.latlng),
+        nodes: [],
+      };
+    }
+
+    [end.segment.a, end.segment.b].forEach((key) => {
+      if (!distances.has(key)) return;
+
+      const distance =
+        distances.get(key) + graph.nodes.get(key).latlng.distanceTo(end.latlng);
+      if (!best || distance < best.distance) {
+        const nodes = [key];
+        while (previous.has(nodes[0])) {
+          nodes.unshift(previous.get(nodes[0]));
+        }
+        best = { distance, nodes };
+      }
+    });
+
+    if (!best) return null;
+
+    // Split the path into drawable road runs and off-network gaps
+    const runs = [[start.latlng]];
+    const gaps = [];
+    let gapDistance = 0;
+    best.nodes.forEach((key, index) => {
+      const latlng = graph.nodes.get(key).latlng;
+      const edge =
+        index > 0 &&
+        graph.nodes
+          .get(best.nodes[index - 1])
+          .edges.find((candidate) => candidate.to === key);
+
+      if (edge?.gap) {
+        const previousLatLng = graph.nodes.get(best.nodes[index - 1]).latlng;
+        gaps.push([previousLatLng, latlng]);
+        gapDistance += edge.weight;
+        runs.push([latlng]);
+      } else {
+        runs[runs.length - 1].push(latlng);
+      }
+    });
+    runs[runs.length - 1].push(end.latlng);
+
+    return {
+      from,
+      to,
+      runs,
+      gaps,
+      roadDistance: best.distance - gapDistance,
+      gapDistance,
+      accessDistance: start.distance + end.distance,
+      distance: best.distance + start.distance + end.distance,
+    };
+  }
+
+  showRoute(route, fromLabel, toLabel) {
+    this.clearRoute();
+
+    const { color } = this.config.routing;
+    const pane = this.getToolPane();
+    const accessStyle = {
+      color,
+      weight: 3,
+      opacity: 0.8,
+      dashArray: "4, 8",
+      pane,
+    };
+    const endpointStyle = {
+      pane,
+      radius: 7,
+      color: "#fff",
+      weight: 2,
+      fillOpacity: 1,
+    };
+
+    const lastRun = route.runs[route.runs.length - 1];
+
+    this.routeLayer = L.featureGroup([
+      L.polyline([route.from, route.runs[0][0]], accessStyle),
+      L.polyline(route.runs, { color, weight: 6, opacity: 0.85, pane }),
+      L.polyline(route.gaps, { ...accessStyle, color: "#7f8c8d" }),
+      L.polyline([lastRun[lastRun.length - 1], route.to], accessStyle),
+      L.circleMarker(route.from, {
+        ...endpointStyle,
+        fillColor: "#28a745",
+      }).bindTooltip(t("route.from", { label: this.escapeHtml(fromLabel) })),
+      L.circleMarker(route.to, {
+        ...endpointStyle,
+        fillColor: "#dc3545",
+      }).bindTooltip(t("route.to", { label: this.escapeHtml(toLabel) })),
+    ]).addTo(this.map);
+
+    this.map.fitBounds(this.routeLayer.getBounds(), { padding: [40, 40] });
+    this.renderRouteResult(route, fromLabel, toLabel);
+  }
+
+  renderRouteResult(route, fromLabel, toLabel) {
+    const result = document.getElementById("route-result");
+    if (!result) return;
+
+    const { speeds } = this.config.routing;
+    result.innerHTML = `
+      <div class="feature-info-update">
+        <p class="route-summary">
+          ${this.escapeHtml(fromLabel)} <i class="fas fa-arrow-right"></i>
+          ${this.escapeHtml(toLabel)}
+        </p>
+        <div class="stat-item">
+          <span><i class="fas fa-route"></i> ${t("route.distance")}</span>
+          <span class="stat-count">${this.formatDistance(route.distance)}</span>
+        </div>
+        <div class="stat-item">
+          <span><i class="fas fa-walking"></i> ${t("route.walking")}</span>
+          <span class="stat-count">${this.formatDuration(
+            this.estimateTravelMinutes(route.distance, speeds.walking)
+          )}</span>
+        </div>
+        <div class="stat-item">
+          <span><i class="fas fa-motorcycle"></i> ${t("route.riding")}</span>
+          <span class="stat-count">${this.formatDuration(
+            this.estimateTravelMinutes(route.distance, speeds.riding)
+          )}</span>
+        </div>
+        <p class="route-note">
+          ${t("route.note", {
+            road: this.formatDistance(route.roadDistance),
+            access: this.formatDistance(route.accessDistance),
+          })}
+          ${
+            route.gapDistance > 0
+              ? t("route.gapNote", {
+                  gap: this.formatDistance(route.gapDistance),
+                })
+              : ""
+          }
+        </p>
+      </div>
+    `;
+  }
+
+  clearRoute() {
+    if (this.routeLayer) {
+      this.map.removeLayer(this.routeLayer);
+      this.routeLayer = null;
+    }
+
+    const result = document.getElementById("route-result");
+    if (result) result.innerHTML = "";
+  }
+
+  estimateTravelMinutes(meters, speedKmh) {
+    return (meters / 1000 / speedKmh) * 60;
+  }
+
+  /**
+   * ===============================================
+   * NEAREST FACILITY METHODS
+   * ===============================================
+   */
+  setupNearestFinder() {
+    const locateBtn = document.getElementById("nearest-locate");
+    const pickBtn = document.getElementById("nearest-pick");
+    const results = document.getElementById("nearest-results");
+
+    if (locateBtn) {
+      locateBtn.addEventListener("click", () => this.locateUser());
+    }
+
+    if (pickBtn) {
+      pickBtn.addEventListener("click", async () => {
+        const latlng = await this.pickMapPoint(t("nearest.pickHint"));
+        if (latlng) this.showNearestFacilities(latlng, t("location.picked"));
+      });
+    }
+
+    if (results) {
+      results.addEventListener("click", (e) => {
+        const item = e.target.closest("[data-nearest-index]");
+        if (item) {
+          this.highlightNearestResult(parseInt(item.dataset.nearestIndex));
+        }
+      });
+    }
+  }
+
+  async locateUser() {
+    try {
+      const latlng = await this.getUserLocation();
+      this.map.setView(latlng, this.config.nearest.locateZoom);
+      this.showNearestFacilities(latlng, t("location.mine"));
+    } catch (error) {
+      console.error("Geolocation error:", error);
+      this.showError(error.message);
+    }
+  }
+
+  showNearestFacilities(origin, label) {
+    const count =
+      parseInt(document.getElementById("nearest-count")?.value) || 3;
+
+    // Road distances are a bonus: skip them if the origin is off-network
+    let search = null;
+    try {
+      search = this.createRouteSearch(origin);
+    } catch (error) {
+      console.warn("Road distances unavailable:", error.message);
+    }
+
+    this.nearestResults = [];
+    Object.entries(this.layerGroups).forEach(([layerKey, layerGroup]) => {
+      if (layerKey === "jalan") return;
+
+      layerGroup
+        .getLayers()
+        .map((layer) => ({
+          layerKey,
+          layer,
+          name: this.extractFacilityName(layer.feature.properties),
+          distance: origin.distanceTo(layer.getLatLng()),
+        }))
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, count)
+        .forEach((result) => {
+          try {
+            result.roadDistance =
+              this.routeFromSearch(search, result.layer.getLatLng())
+                ?.distance ?? null;
+          } catch (error) {
+            result.roadDistance = null;
+          }
+          this.nearestResults.push(result);
+        });
+    });
+
+    this.drawNearestOrigin(origin, label);
+    this.renderNearestResults(label);
+  }
+
+  drawNearestOrigin(origin, label) {
+    this.clearNearestLayer();
+
+    this.nearestLayer = L.featureGroup([
+      L.circleMarker(origin, {
+        pane: this.getToolPane(),
+        radius: 8,
+        color: "#fff",
+        weight: 3,
+        fillColor: "#1e90ff",
+        fillOpacity: 1,
+      }).bindTooltip(this.escapeHtml(label)),
+    ]).addTo(this.map);
+    this.nearestOrigin = origin;
+  }
+
+  renderNearestResults(label) {
+    const results = document.getElementById("nearest-results");
+    if (!results) return;
+
+    const groups = {};
+    this.nearestResults.forEach((result, index) => {
+      (groups[result.layerKey] = groups[result.layerKey] || []).push({
+        result,
+        index,
+      });
+    });
+
+    results.innerHTML = `
+      <div class="nearest-origin">
+        <i class="fas fa-map-pin"></i> ${t("route.from", {
+          label: this.escapeHtml(label),
+        })}
+      </div>
+      ${Object.entries(groups)
+        .map(([layerKey, items]) => {
+          const config = this.layerConfigs[layerKey];
+          return `
+            <div class="nearest-group">
+              <h4><i class="${config.icon}" style="color: ${
+            config.color
+          };"></i>${config.name}</h4>
+              <ul>
+                ${items
+                  .map(
+                    ({ result, index }) => `
+                      <li class="nearest-item" data-nearest-index="${index}">
+                        <span>${this.escapeHtml(result.name)}</span>
+                        <span class="nearest-distance">
+                          ${this.formatDistance(result.distance)}
+                          ${
+                            result.roadDistance !== null
+                              ? `<small>${this.formatDistance(
+                                  result.roadDistance
+                                )} ${t("nearest.viaRoad")}</small>`
+                              : ""
+                          }
+                        </span>
+                      </li>
+                    `
+                  )
+                  .join("")}
+              </ul>
+            </div>
+          `;
+        })
+        .join("")}
+    `;
+  }
+
+  highlightNearestResult(index) {
+    const result = this.nearestResults[index];
+    if (!result || !this.nearestLayer) return;
+
+    document.querySelectorAll(".nearest-item").forEach((item) => {
+      item.classList.toggle(
+        "active",
+        parseInt(item.dataset.nearestIndex) === index
+      );
+    });
+
+    // Line from the origin to the chosen facility
+    if (this.nearestLink) {
+      this.nearestLayer.removeLayer(this.nearestLink);
+    }
+    this.nearestLink = L.polyline(
+      [this.nearestOrigin, result.layer.getLatLng()],
+      {
+        color: "#1e90ff",
+        weight: 3,
+        dashArray: "6, 6",
+        pane: this.getToolPane(),
+      }
+    ).addTo(this.nearestLayer);
+
+    this.focusFeatureLayer(
+      result.layerKey,
+      result.layer,
+      this.config.nearest.focusZoom
+    );
+  }
+
+  clearNearestLayer() {
+    if (this.nearestLayer) {
+      this.map.removeLayer(this.nearestLayer);
+      this.nearestLayer = null;
+      this.nearestLink = null;
+    }
+  }
+
+  /**
+   * ===============================================
+   * BUFFER ANALYSIS METHODS
+   * ===============================================
+   */
+  setupBufferAnalysis() {
+    const radiusInput = document.getElementById("buffer-radius");
+    const pickBtn = document.getElementById("buffer-pick");
+    const selectedBtn = document.getElementById("buffer-selected");
+    const exportBtn = document.getElementById("buffer-export");
+    const clearBtn = document.getElementById("buffer-clear");
+    const statsContent = document.getElementById("stats-content");
+
+    if (radiusInput) {
+      radiusInput.value = this.config.buffer.defaultRadius;
+      radiusInput.addEventListener("change", () => {
+        if (this.bufferAnalysis) {
+          const { center, label } = this.bufferAnalysis;
+          this.runBufferAnalysis(center, label);
+        }
+      });
+    }
+
+    if (pickBtn) {
+      pickBtn.addEventListener("click", async () => {
+        const latlng = await this.pickMapPoint(t("buffer.pickHint"));
+        if (latlng) this.runBufferAnalysis(latlng, t("location.picked"));
+      });
+    }
+
+    if (selectedBtn) {
+      selectedBtn.addEventListener("click", () => {
+        const layer = this.selectedMarker?.layer;
+        if (!layer) {
+          this.showNotification(t("buffer.selectFirst"), "warning");
+          return;
+        }
+        this.runBufferAnalysis(
+          layer.getLatLng(),
+          this.extractFacilityName(layer.feature.properties)
+        );
+      });
+    }
+
+    if (exportBtn) {
+      exportBtn.addEventListener("click", () => this.exportBufferAnalysis());
+    }
+
+    if (clearBtn) {
+      clearBtn.addEventListener("click", () => this.clearBufferAnalysis());
+    }
+
+    if (statsContent) {
+      statsContent.addEventListener("click", (e) => {
+        if (e.target.closest(".stats-reset")) this.clearBufferAnalysis();
+      });
+    }
+  }
+
+  getBufferRadius() {
+    const { defaultRadius, minRadius, maxRadius } = this.config.buffer;
+    const value = parseFloat(document.getElementById("buffer-radius")?.value);
+    const radius = Number.isFinite(value) ? value : defaultRadius;
+    return Math.min(maxRadius, Math.max(minRadius, radius));
+  }
+
+  runBufferAnalysis(center, label) {
+    const radius = this.getBufferRadius();
+    const facilities = [];
+    const stats = {};
+
+    Object.entries(this.layerGroups).forEach(([layerKey, layerGroup]) => {
+      stats[layerKey] = 0;
+
+      layerGroup.eachLayer((layer) => {
+        if (layerKey === "jalan") {
+          // A road counts when any part of it passes through the circle
+          const lines = layer.getLatLngs();
+          const parts = Array.isArray(lines[0]) ? lines : [lines];
+          const crosses = parts.some((part) =>
+            part.some(
+              (latlng, i) =>
+                i > 0 &&
+                this.projectOntoSegment(center, part[i - 1], latlng).distance <=
+                  radius
+            )
+          );
+          if (crosses) stats.jalan++;
+          return;
+        }
+
+        const distance = center.distanceTo(layer.getLatLng());
+        if (distance <= radius) {
+          stats[layerKey]++;
+          facilities.push({ layerKey, layer, distance });
+        }
+      });
+    });
+
+    this.bufferAnalysis = { center, label, radius, facilities, stats };
+    this.drawBufferAnalysis();
+    this.renderStatistics();
+  }
+
+  drawBufferAnalysis() {
+    const { center, radius, facilities } = this.bufferAnalysis;
+    const { color } = this.config.buffer;
+
+    if (this.bufferLayer) {
+      this.map.removeLayer(this.bufferLayer);
+    }
+
+    this.bufferLayer = L.featureGroup([
+      L.circle(center, {
+        radius,
+        color,
+        weight: 2,
+        fillColor: color,
+        fillOpacity: 0.12,
+        interactive: false,
+      }),
+      L.circleMarker(center, {
+        radius: 5,
+        color: "#222",
+        weight: 2,
+        fillColor: color,
+        fillOpacity: 1,
+        interactive: false,
+      }),
+      // Halo under each facility inside the radius
+      ...facilities.map(({ layer }) =>
+        L.circleMarker(layer.getLatLng(), {
+          radius: 14,
+          color,
+          weight: 3,
+          fillOpacity: 0,
+          interactive: false,
+        })
+      ),
+    ]).addTo(this.map);
+
+    this.map.fitBounds(this.bufferLayer.getBounds(), { padding: [30, 30] });
+  }
+
+  renderBufferStatistics() {
+    const { label, radius, facilities, stats } = this.bufferAnalysis;
+
+    return `
+      <p class="stats-caption">
+        ${t("buffer.caption", {
+          radius: this.formatDistance(radius),
+          label: `<strong>${this.escapeHtml(label)}</strong>`,
+          count: facilities.length,
+        })}
+      </p>
+      ${this.renderStatsEntries(stats)}
+      <button type="button" class="stats-reset">
+        <i class="fas fa-undo"></i> ${t("buffer.showAll")}
+      </button>
+    `;
+  }
+
+  exportBufferAnalysis() {
+    if (!this.bufferAnalysis) {
+      this.showNotification(t("buffer.empty"), "warning");
+      return;
+    }
+
+    const { center, label, radius, facilities } = this.bufferAnalysis;
+    const ring = this.createCirclePolygon(center, radius);
+
+    const geojson = {
+      type: "FeatureCollection",
+      features: [
+        {
+          type: "Feature",
+          properties: {
+            jenis: "radius",
+            pusat: label,
+            radius_m: radius,
+            jumlah_fasilitas: facilities.length,
+          },
+          geometry: {
+            type: "Polygon",
+            coordinates: [ring.map(({ lat, lng }) => [lng, lat])],
+          },
+        },
+        ...[...facilities]
+          .sort((a, b) => a.distance - b.distance)
+          .map(({ layer, distance }) => ({
+            type: "Feature",
+            properties: {
+              ...layer.feature.properties,
+              jarak_m: Math.round(distance),
+            },
+            geometry: layer.feature.geometry,
+          })),
+      ],
+    };
+
+    this.downloadFile(
+      JSON.stringify(geojson, null, 2),
+      `radius-${Math.round(radius)}m.geojson`,
+      "application/geo+json"
+    );
+  }
+
+  clearBufferAnalysis() {
+    if (this.bufferLayer) {
+      this.map.removeLayer(this.bufferLayer);
+      this.bufferLayer = null;
+    }
+    this.bufferAnalysis = null;
+    this.renderStatistics();
+  }
+
+  /**
+   * ===============================================
+   * MEASUREMENT METHODS
+   * ===============================================
+   */
+  setupMeasureTools() {
+    document
+      .getElementById("measure-distance")
+      ?.addEventListener("click", () => this.startMeasurement("distance"));
+    document
+      .getElementById("measure-area")
+      ?.addEventListener("click", () => this.startMeasurement("area"));
+    document
+      .getElementById("measure-finish")
+      ?.addEventListener("click", () => this.finishMeasurement());
+    document
+      .getElementById("measure-copy")
+      ?.addEventListener("click", () => this.copyMeasurement());
+    document
+      .getElementById("measure-export")
+      ?.addEventListener("click", () => this.exportMeasurement());
+    document
+      .getElementById("measure-clear")
+      ?.addEventListener("click", () => this.clearMeasurement());
+
+    this.measureHandlers = {
+      click: (e) => this.addMeasurePoint(e.latlng),
+      mousemove: (e) => this.drawMeasurement(e.latlng),
+      dblclick: () => this.finishMeasurement(),
+    };
+
+    this.updateMeasureControls();
+  }
+
+  startMeasurement(mode) {
+    this.cancelMapPick();
+    this.stopSketchTool();
+    this.clearMeasurement();
+
+    const color = this.config.measure.color;
+    this.measureLayer = L.featureGroup().addTo(this.map);
+    this.measurement = {
+      mode,
+      points: [],
+      drawing: true,
+      shape: (mode === "area" ? L.polygon : L.polyline)([], {
+        pane: this.getToolPane(),
+        color,
+        weight: 3,
+        dashArray: "6, 6",
+        fillOpacity: 0.15,
+        interactive: false,
+      }).addTo(this.measureLayer),
+    };
+
+    this.map.getContainer().classList.add("picking");
+    this.map.doubleClickZoom.disable();
+    this.map.on(this.measureHandlers);
+
+    this.showNotification(t("measure.start"), "info");
+    this.renderMeasureResult();
+    this.updateMeasureControls();
+  }
+
+  stopMeasureDrawing() {
+    if (!this.measurement?.drawing) return;
+
+    this.measurement.drawing = false;
+    this.map.off(this.measureHandlers);
+    this.map.getContainer().classList.remove("picking");
+    // Re-enable after the dblclick that finished drawing has been handled
+    setTimeout(() => this.map.doubleClickZoom.enable(), 0);
+  }
+
+  snapMeasurePoint(latlng) {
+    const snapInput = document.getElementById("measure-snap");
+    if (!snapInput?.checked) return { latlng, snapped: false };
+
+    const nearest = this.findNearestRoadPoint(latlng);
+    if (nearest && nearest.distance <= this.config.measure.snapDistance) {
+      return { latlng: nearest.latlng, snapped: true };
+    }
+    return { latlng, snapped: false };
+  }
+
+  addMeasurePoint(clicked) {
+    const measurement = this.measurement;
+    if (!measurement?.drawing) return;
+
+    const { latlng, snapped } = this.snapMeasurePoint(clicked);
+
+    // The two clicks of a double-click would otherwise add the last point twice
+    const last = measurement.points[measurement.points.length - 1];
+    if (last && last.distanceTo(latlng) < 0.5) return;
+
+    measurement.points.push(latlng);
+    L.circleMarker(latlng, {
+      pane: this.getToolPane(),
+      radius: 5,
+      color: "#ffffff",
+      weight: 2,
+      fillColor: snapped
+        ? this.layerConfigs.jalan.color
+        : this.config.measure.color,
+      fillOpacity: 1,
+      interactive: false,
+    }).addTo(this.measureLayer);
+
+    this.drawMeasurement();
+  }
+
+  drawMeasurement(cursor = null) {
+    const measurement = this.measurement;
+    if (!measurement) return;
+
+    const points =
+      cursor && measurement.drawing && measurement.points.length > 0
+        ? [...measurement.points, this.snapMeasurePoint(cursor).latlng]
+        : measurement.points;
+
+    measurement.shape.setLatLngs(points);
+    this.renderMeasureResult(points);
+  }
+
+  finishMeasurement() {
+    const measurement = this.measurement;
+    if (!measurement?.drawing) return;
+
+    const minPoints = measurement.mode === "area" ? 3 : 2;
+    if (measurement.points.length < minPoints) {
+      this.showNotification(
+        t("draw.minPoints", { count: minPoints }),
+        "warning"
+      );
+      return;
+    }
+
+    this.stopMeasureDrawing();
+    measurement.shape.setStyle({ dashArray: null });
+    this.drawMeasurement();
+    this.updateMeasureControls();
+  }
+
+  cancelMeasurement() {
+    if (this.measurement?.drawing) {
+      this.clearMeasurement();
+    }
+  }
+
+  clearMeasurement() {
+    this.stopMeasureDrawing();
+
+    if (this.measureLayer) {
+      this.map.removeLayer(this.measureLayer);
+      this.measureLayer = null;
+    }
+    this.measurement = null;
+
+    this.renderMeasureResult();
+    this.updateMeasureControls();
+  }
+
+  getMeasureValues(points = this.measurement?.points || []) {
+    const length = points.reduce(
+      (total, point, i) =>
+        i === 0 ? 0 : total + this.map.distance(points[i - 1], point),
+      0
+    );
+
+    if (this.measurement?.mode !== "area") {
+      return { length };
+    }
+
+    const closing =
+      points.length > 2
+        ? this.map.distance(points[points.length - 1], points[0])
+        : 0;
+    return {
+      perimeter: length + closing,
+      area: this.geodesicArea(points),
+    };
+  }
+
+  // Spherical polygon area (as used by Leaflet.draw), in square metres
+  geodesicArea(latlngs) {
+    if (latlngs.length < 3) return 0;
+
+    const radius = 6378137;
+    const toRad = Math.PI / 180;
+    let area = 0;
+
+    latlngs.forEach((p1, i) => {
+      const p2 = latlngs[(i + 1) % latlngs.length];
+      area +=
+        (p2.lng - p1.lng) *
+        toRad *
+        (2 + Math.sin(p1.lat * toRad) + Math.sin(p2.lat * toRad));
+    });
+
+    return Math.abs((area * radius * radius) / 2);
+  }
+
+  getMeasureSummary(points) {
+    const values = this.getMeasureValues(points);
+
+    if (this.measurement?.mode === "area") {
+      const squareMeters = Math.round(values.area).toLocaleString(getLocale());
+      const hectares = (values.area / 10000).toLocaleString(getLocale(), {
+        maximumFractionDigits: 3,
+      });
+      return t("measure.areaSummary", {
+        area: squareMeters,
+        hectares,
+        perimeter: this.formatDistance(values.perimeter),
+      });
+    }
+
+    return t("measure.distanceSummary", {
+      distance: this.formatDistance(values.length),
+    });
+  }
+
+  renderMeasureResult(points) {
+    const result = document.getElementById("measure-result");
+    if (!result) return;
+
+    if (!this.measurement) {
+      result.innerHTML = "";
+      return;
+    }
+
+    const count = this.measurement.points.length;
+    result.innerHTML = `
+      <strong>${this.escapeHtml(this.getMeasureSummary(points))}</strong>
+      <div class="text-muted">
+        ${t("measure.points", { count })}${
+      this.measurement.drawing ? ` &middot; ${t("measure.finishHint")}` : ""
+    }
+      </div>
+    `;
+  }
+
+  updateMeasureControls() {
+    const drawing = Boolean(this.measurement?.drawing);
+    const finished = Boolean(this.measurement && !drawing);
+
+    const finishButton = document.getElementById("measure-finish");
+    if (finishButton) finishButton.hidden = !drawing;
+
+    ["measure-copy", "measure-export"].forEach((id) => {
+      const button = document.getElementById(id);
+      if (button) button.disabled = !finished;
+    });
+
+    document
+      .getElementById("measure-distance")
+      ?.classList.toggle("active", this.measurement?.mode === "distance");
+    document
+      .getElementById("measure-area")
+      ?.classList.toggle("active", this.measurement?.mode === "area");
+  }
+
+  async copyMeasurement() {
+    if (!this.measurement || this.measurement.drawing) return;
+
+    const text = this.getMeasureSummary();
+    try {
+      await navigator.clipboard.writeText(text);
+      this.showSuccessMessage(t("measure.copied"));
+    } catch (error) {
+      console.warn("Clipboard unavailable:", error);
+      this.showNotification(text, "info");
+    }
+  }
+
+  exportMeasurement() {
+    const measurement = this.measurement;
+    if (!measurement || measurement.drawing) return;
+
+    const coordinates = measurement.points.map(({ lat, lng }) => [lng, lat]);
+    const values = this.getMeasureValues();
+    const feature =
+      measurement.mode === "area"
+        ? {
+            type: "Feature",
+            properties: {
+              jenis: "luas",
+              luas_m2: Math.round(values.area),
+              luas_ha: Number((values.area / 10000).toFixed(4)),
+              keliling_m: Math.round(values.perimeter),
+            },
+            geometry: {
+              type: "Polygon",
+              coordinates: [[...coordinates, coordinates[0]]],
+            },
+          }
+        : {
+            type: "Feature",
+            properties: {
+              jenis: "jarak",
+              panjang_m: Math.round(values.length),
+            },
+            geometry: { type: "LineString", coordinates },
+          };
+
+    this.downloadFile(
+      JSON.stringify(
+        { type: "FeatureCollection", features: [feature] },
+        null,
+        2
+      ),
+      `pengukuran-${feature.properties.jenis}.geojson`,
+      "application/geo+json"
+    );
+  }
+
+  /**
+   * ===============================================
+   * SKETCH METHODS
+   * ===============================================
+   */
+  setupSketchTools() {
+    document.querySelectorAll("[data-sketch-tool]").forEach((button) => {
+      button.addEventListener("click", () =>
+        this.startSketchTool(button.dataset.sketchTool)
+      );
+    });
+
+    document
+      .getElementById("sketch-select")
+      ?.addEventListener("change", (e) => this.loadSketch(e.target.value));
+    document
+      .getElementById("sketch-save")
+      ?.addEventListener("click", () => this.saveSketchAs());
+    document
+      .getElementById("sketch-new")
+      ?.addEventListener("click", () =>
+        this.loadSketch(this.getUniqueSketchName(this.config.sketch.name))
+      );
+    document
+      .getElementById("sketch-delete")
+      ?.addEventListener("click", () => this.deleteSketch());
+    document
+      .getElementById("sketch-export")
+      ?.addEventListener("click", () => this.exportSketch());
+    document
+      .getElementById("sketch-import")
+      ?.addEventListener("change", (e) => {
+        const [file] = e.target.files;
+        if (file) this.importSketch(file);
+        e.target.value = "";
+      });
+
+    this.sketchHandlers = {
+      click: (e) => this.handleSketchClick(e.latlng),
+      mousemove: (e) => this.drawSketchPreview(e.latlng),
+      dblclick: () => this.finishSketchShape(),
+    };
+  }
+
+  createSketchLayer() {
+    this.sketchLayer = L.featureGroup().addTo(this.map);
+    this.overlayMaps[this.config.sketch.name] = this.sketchLayer;
+
+    const store = this.readSketchStore();
+    const name =
+      store.active in store.sketches
+        ? store.active
+        : Object.keys(store.sketches)[0] ||
+          this.getUniqueSketchName(this.config.sketch.name);
+    this.loadSketch(name);
+  }
+
+  readSketchStore() {
+    try {
+      const store = JSON.parse(
+        localStorage.getItem(this.config.sketch.storageKey)
+      );
+      return { active: store?.active, sketches: store?.sketches || {} };
+    } catch (error) {
+      console.warn("Could not read saved sketches:", error);
+      return { active: null, sketches: {} };
+    }
+  }
+
+  writeSketchStore(store) {
+    try {
+      localStorage.setItem(
+        this.config.sketch.storageKey,
+        JSON.stringify(store)
+      );
+      return true;
+    } catch (error) {
+      console.warn("Could not save sketches:", error);
+      this.showError(t("sketch.storageFailed"));
+      return false;
+    }
+  }
+
+  getUniqueSketchName(baseName) {
+    const { sketches } = this.readSketchStore();
+    if (!(baseName in sketches) && baseName !== this.sketch?.name) {
+      return baseName;
+    }
+
+    let index = 2;
+    while (
+      `${baseName} ${index}` in sketches ||
+      `${baseName} ${index}` === this.sketch?.name
+    ) {
+      index++;
+    }
+    return `${baseName} ${index}`;
+  }
+
+  loadSketch(name) {
+    this.stopSketchTool();
+
+    const store = this.readSketchStore();
+    this.sketch = {
+      name,
+      features: store.sketches[name]?.features || [],
+    };
+
+    if (name in store.sketches && store.active !== name) {
+      store.active = name;
+      this.writeSketchStore(store);
+    }
+
+    this.renderSketch();
+    this.updateSketchControls();
+  }
+
+  // Every edit is written straight to localStorage under the sketch name
+  saveSketch() {
+    const store = this.readSketchStore();
+    store.sketches[this.sketch.name] = {
+      type: "FeatureCollection",
+      features: this.sketch.features,
+    };
+    store.active = this.sketch.name;
+
+    this.writeSketchStore(store);
+    this.updateSketchControls();
+  }
+
+  saveSketchAs() {
+    const name = document.getElementById("sketch-name")?.value.trim();
+    if (!name) {
+      this.showNotification(t("sketch.nameRequired"), "warning");
+      return;
+    }
+    if (name === this.sketch.name) {
+      this.saveSketch();
+      this.showSuccessMessage(t("sketch.saved", { name }));
+      return;
+    }
+    if (
+      name in this.readSketchStore().sketches &&
+      !confirm(t("sketch.confirmOverwrite", { name }))
+    ) {
+      return;
+    }
+
+    this.sketch = { name, features: this.sketch.features };
+    this.saveSketch();
+    this.showSuccessMessage(t("sketch.saved", { name }));
+  }
+
+  deleteSketch() {
+    const { name } = this.sketch;
+    if (!confirm(t("sketch.confirmDelete", { name }))) return;
+
+    const store = this.readSketchStore();
+    delete store.sketches[name];
+    store.active = Object.keys(store.sketches)[0] || null;
+    this.writeSketchStore(store);
+
+    this.sketch = null;
+    this.loadSketch(
+      store.active || this.getUniqueSketchName(this.config.sketch.name)
+    );
+  }
+
+  updateSketchControls() {
+    const select = document.getElementById("sketch-select");
+    if (select && this.sketch) {
+      const names = Object.keys(this.readSketchStore().sketches);
+      if (!names.includes(this.sketch.name)) names.unshift(this.sketch.name);
+
+      select.innerHTML = names
+        .map(
+          (name) =>
+            `<option value="${this.escapeHtml(name)}">${this.escapeHtml(
+              name
+            )}</option>`
+        )
+        .join("");
+      select.value = this.sketch.name;
+    }
+
+    const nameInput = document.getElementById("sketch-name");
+    if (nameInput && this.sketch) nameInput.value = this.sketch.name;
+
+    document.querySelectorAll("[data-sketch-tool]").forEach((button) => {
+      button.classList.toggle(
+        "active",
+        button.dataset.sketchTool === this.sketchDraw?.tool
+      );
+    });
+
+    const hint = document.getElementById("sketch-hint");
+    if (hint) {
+      const tool = this.sketchDraw?.tool;
+      const count = this.sketch?.features.length || 0;
+      hint.textContent = tool
+        ? t(`sketch.hint.${tool}`)
+        : t("sketch.objectCount", { count });
+    }
+  }
+
+  startSketchTool(tool) {
+    if (this.sketchDraw?.tool === tool) {
+      this.stopSketchTool();
+      return;
+    }
+
+    this.cancelMapPick();
+    this.cancelMeasurement();
+    this.stopSketchTool();
+
+    if (!this.map.hasLayer(this.sketchLayer)) {
+      this.sketchLayer.addTo(this.map);
+    }
+
+    this.sketchDraw = { tool, points: [], preview: null };
+    if (tool !== "hapus") {
+      this.map.getContainer().classList.add("picking");
+      this.map.doubleClickZoom.disable();
+      this.map.on(this.sketchHandlers);
+    } else {
+      this.renderSketch();
+    }
+
+    this.updateSketchControls();
+  }
+
+  stopSketchTool() {
+    const draw = this.sketchDraw;
+    if (!draw) return;
+
+    if (draw.tool !== "hapus") {
+      this.map.off(this.sketchHandlers);
+      this.map.getContainer().classList.remove("picking");
+      setTimeout(() => this.map.doubleClickZoom.enable(), 0);
+    }
+    if (draw.preview) {
+      this.sketchLayer.removeLayer(draw.preview);
+    }
+
+    this.sketchDraw = null;
+    if (draw.tool === "hapus") {
+      this.renderSketch();
+    }
+    this.updateSketchControls();
+  }
+
+  handleSketchClick(latlng) {
+    const draw = this.sketchDraw;
+    if (!draw) return;
+    const point = [latlng.lng, latlng.lat];
+
+    if (draw.tool === "titik") {
+      this.addSketchFeature("Point", point, { jenis: "titik" });
+      return;
+    }
+
+    if (draw.tool === "teks") {
+      const text = prompt(t("sketch.labelPrompt"))?.trim();
+      if (text) {
+        this.addSketchFeature("Point", point, { jenis: "teks", teks: text });
+      }
+      return;
+    }
+
+    // The two clicks of a double-click would otherwise add the last point twice
+    const last = draw.points[draw.points.length - 1];
+    if (last && last.distanceTo(latlng) < 0.5) return;
+
+    draw.points.push(latlng);
+    this.drawSketchPreview();
+  }
+
+  drawSketchPreview(cursor = null) {
+    const draw = this.sketchDraw;
+    if (!draw || draw.points.length === 0) return;
+
+    const points = cursor ? [...draw.points, cursor] : draw.points;
+    if (!draw.preview) {
+      draw.preview = (draw.tool === "poligon" ? L.polygon : L.polyline)([], {
+        pane: this.getToolPane(),
+        color: this.config.sketch.color,
+        weight: 3,
+        dashArray: "6, 6",
+        fillOpacity: 0.1,
+        interactive: false,
+      }).addTo(this.sketchLayer);
+    }
+    draw.preview.setLatLngs(points);
+  }
+
+  finishSketchShape() {
+    const draw = this.sketchDraw;
+    if (!draw || draw.points.length === 0) return;
+
+    const minPoints = draw.tool === "poligon" ? 3 : 2;
+    if (draw.points.length < minPoints) {
+      this.showNotification(
+        t("draw.minPoints", { count: minPoints }),
+        "warning"
+      );
+      return;
+    }
+
+    const coordinates = draw.points.map(({ lat, lng }) => [lng, lat]);
+    if (draw.tool === "poligon") {
+      this.addSketchFeature("Polygon", [[...coordinates, coordinates[0]]], {
+        jenis: "poligon",
+      });
+    } else {
+      this.addSketchFeature("LineString", coordinates, { jenis: draw.tool });
+    }
+
+    // Stay in the same tool for the next shape
+    draw.points = [];
+    if (draw.preview) {
+      this.sketchLayer.removeLayer(draw.preview);
+      draw.preview = null;
+    }
+  }
+
+  addSketchFeature(type, coordinates, properties) {
+    this.sketch.features.push({
+      type: "Feature",
+      properties,
+      geometry: { type, coordinates },
+    });
+    this.saveSketch();
+    this.renderSketch();
+  }
+
+  removeSketchFeature(feature) {
+    this.sketch.features = this.sketch.features.filter((f) => f !== feature);
+    this.saveSketch();
+    this.renderSketch();
+  }
+
+  renderSketch() {
+    if (!this.sketchLayer) return;
+
+    const preview = this.sketchDraw?.preview;
+    this.sketchLayer.clearLayers();
+    if (preview) this.sketchLayer.addLayer(preview);
+
+    this.sketch.features.forEach((feature) => {
+      const layer = this.createSketchFeatureLayer(feature);
+      if (!layer) return;
+
+      layer.on("click", (e) => {
+        if (this.sketchDraw?.tool !== "hapus") return;
+        L.DomEvent.stop(e);
+        this.removeSketchFeature(feature);
+      });
+      this.sketchLayer.addLayer(layer);
+    });
+  }
+
+  createSketchFeatureLayer(feature) {
+    const { color } = this.config.sketch;
+    const { type, coordinates } = feature.geometry || {};
+    const properties = feature.properties || {};
+    const toLatLng = ([lng, lat]) => L.latLng(lat, lng);
+    // Shapes draw above the facility markers, so they only take clicks
+    // while erasing. Text labels and arrow heads stay in markerPane.
+    const pane = this.getToolPane();
+    const interactive = this.sketchDraw?.tool === "hapus";
+
+    // Stored sketches predate import validation; skip what Leaflet can't draw
+    if (!this.isValidSketchGeometry(feature.geometry)) return null;
+
+    if (type === "Point" && properties.jenis === "teks") {
+      return L.marker(toLatLng(coordinates), {
+        icon: L.divIcon({
+          className: "sketch-label",
+          html: `<span style="border-color: ${color};">${this.escapeHtml(
+            properties.teks || ""
+          )}</span>`,
+          iconSize: null,
+        }),
+      });
+    }
+
+    if (type === "Point") {
+      return L.circleMarker(toLatLng(coordinates), {
+        pane,
+        interactive,
+        radius: 7,
+        color: "#ffffff",
+        weight: 2,
+        fillColor: color,
+        fillOpacity: 1,
+      });
+    }
+
+    if (type === "LineString") {
+      const latlngs = coordinates.map(toLatLng);
+      const line = L.polyline(latlngs, { color, weight: 4, pane, interactive });
+      if (properties.jenis !== "panah" || latlngs.length < 2) return line;
+
+      return L.featureGroup([line, this.createArrowHead(latlngs)]);
+    }
+
+    if (type === "Polygon") {
+      return L.polygon(
+        coordinates.map((ring) => ring.map(toLatLng)),
+        {
+          pane,
+          interactive,
+          color,
+          weight: 3,
+          fillOpacity: 0.2,
+        }
+      );
+    }
+
+    return null;
+  }
+
+  // Web Mercator preserves angles, so the heading is the same at every zoom
+  createArrowHead(latlngs) {
+    const from = this.map.project(latlngs[latlngs.length - 2], 0);
+    const to = this.map.project(latlngs[latlngs.length - 1], 0);
+    const angle = (Math.atan2(to.y - from.y, to.x - from.x) * 180) / Math.PI;
+
+    return L.marker(latlngs[latlngs.length - 1], {
+      interactive: false,
+      icon: L.divIcon({
+        className: "sketch-arrow",
+        html: `<span style="transform: rotate(${angle}deg); border-left-color: ${this.config.sketch.color};"></span>`,
+        iconSize: [20, 20],
+      }),
+    });
+  }
+
+  exportSketch() {
+    if (this.sketch.features.length === 0) {
+      this.showNotification(t("sketch.empty"), "warning");
+      return;
+    }
+
+    const fileName = this.sketch.name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "");
+
+    this.downloadFile(
+      JSON.stringify(
+        {
+          type: "FeatureCollection",
+          name: this.sketch.name,
+          features: this.sketch.features,
+        },
+        null,
+        2
+      ),
+      `sketsa-${fileName || "cirendeu"}.geojson`,
+      "application/geo+json"
+    );
+  }
+
+  async importSketch(file) {
+    const previousSketch = this.sketch;
+
+    try {
+      const data = JSON.parse(await file.text());
+      const features = this.normalizeSketchFeatures(data);
+
+      if (features.length === 0) {
+        this.showError(t("sketch.noFeatures"));
+        return;
+      }
+
+      const baseName =
+        (typeof data.name === "string" && data.name.trim()) ||
+        file.name.replace(/\.(geo)?json$/i, "");
+      this.sketch = {
+        name: this.getUniqueSketchName(baseName),
+        features,
+      };
+      this.renderSketch();
+      this.saveSketch();
+
+      const bounds = this.sketchLayer.getBounds();
+      if (bounds.isValid()) {
+        this.map.fitBounds(bounds, { padding: [30, 30], maxZoom: 17 });
+      }
+      this.showSuccessMessage(
+        t("sketch.imported", {
+          count: features.length,
+          name: this.sketch.name,
+        })
+      );
+    } catch (error) {
+      console.error("Error importing sketch:", error);
+      this.sketch = previousSketch;
+      this.renderSketch();
+      this.showError(t("sketch.invalidFile"));
+    }
+  }
+
+  normalizeSketchFeatures(data) {
+    const features =
+      data?.type === "FeatureCollection"
+        ? data.features
+        : data?.type === "Feature"
+        ? [data]
+        : [];
+    const kinds = { Point: "titik", LineString: "garis", Polygon: "poligon" };
+
+    return (features || [])
+      .filter((feature) => this.isValidSketchGeometry(feature?.geometry))
+      .map((feature) => {
+        const properties = { ...(feature.properties || {}) };
+        if (!properties.jenis) {
+          properties.jenis = kinds[feature.geometry.type];
+        }
+        return {
+          type: "Feature",
+          properties,
+          geometry: {
+            type: feature.geometry.type,
+            coordinates: feature.geometry.coordinates,
+          },
+        };
+      });
+  }
+
+  // Finite [lng, lat] positions: one for a Point, two or more for a
+  // LineString and rings of four or more for a Polygon
+  isValidSketchGeometry(geometry) {
+    const isPosition = (position) =>
+      Array.isArray(position) &&
+      position.length >= 2 &&
+      Number.isFinite(position[0]) &&
+      Number.isFinite(position[1]);
+    const isPath = (path, minLength) =>
+      Array.isArray(path) && path.length >= minLength && path.every(isPosition);
+    const { type, coordinates } = geometry || {};
+
+    if (type === "Point") return isPosition(coordinates);
+    if (type === "LineString") return isPath(coordinates, 2);
+    if (type === "Polygon") {
+      return (
+        Array.isArray(coordinates) &&
+        coordinates.length > 0 &&
+        coordinates.every((ring) => isPath(ring, 4))
+      );
+    }
+    return false;
+  }
+
+  /**
+   * ===============================================
+   * CATCHMENT (VORONOI) METHODS
+   * ===============================================
+   */
+  setupCatchmentControls() {
+    const checkbox = document.getElementById("layer-catchment");
+    const categorySelect = document.getElementById("catchment-category");
+
+    if (categorySelect) {
+      // Otherwise the first category stays selected
+      if (this.layerConfigs[this.config.catchment.defaultCategory]) {
+        categorySelect.value = this.config.catchment.defaultCategory;
+      }
+      categorySelect.addEventListener("change", () => {
+        this.updateCatchmentLayer();
+      });
+    }
+
+    if (checkbox) {
+      checkbox.addEventListener("change", (e) => {
+        if (!this.catchmentLayer) return;
+        if (e.target.checked) {
+          this.map.addLayer(this.catchmentLayer);
+        } else {
+          this.map.removeLayer(this.catchmentLayer);
+        }
+      });
+    }
+  }
+
+  createCatchmentLayer() {
+    this.catchmentLayer = L.featureGroup();
+    this.overlayMaps[this.config.catchment.name] = this.catchmentLayer;
+
+    // Keep the sidebar checkbox in step with the Leaflet layer control
+    this.map.on("overlayadd overlayremove", (e) => {
+      const checkbox = document.getElementById("layer-catchment");
+      if (checkbox && e.layer === this.catchmentLayer) {
+        checkbox.checked = e.type === "overlayadd";
+      }
+    });
+
+    this.updateCatchmentLayer();
+  }
+
+  updateCatchmentLayer() {
+    if (!this.catchmentLayer) return;
+
+    const layerKey =
+      document.getElementById("catchment-category")?.value ||
+      this.config.catchment.defaultCategory;
+    const config = this.layerConfigs[layerKey];
+    const layerGroup = this.layerGroups[layerKey];
+
+    this.catchmentLayer.clearLayers();
+    if (!config || !layerGroup) return;
+
+    // Facilities sharing a coordinate share one cell
+    const sites = new Map();
+    layerGroup.eachLayer((layer) => {
+      const latlng = layer.getLatLng();
+      const key = `${latlng.lat.toFixed(6)},${latlng.lng.toFixed(6)}`;
+      const name = this.extractFacilityName(layer.feature.properties);
+      if (sites.has(key)) {
+        sites.get(key).names.push(name);
+      } else {
+        sites.set(key, { latlng, names: [name] });
+      }
+    });
+
+    const siteList = [...sites.values()];
+    const cells = this.computeVoronoiCells(
+      siteList.map((site) => site.latlng),
+      L.latLngBounds(this.config.areaBounds)
+    );
+
+    cells.forEach((cell, index) => {
+      if (!cell) return;
+
+      const name = siteList[index].names.join(" / ");
+      const label = `
+        <strong>${this.escapeHtml(name)}</strong><br>
+        ${this.formatArea(cell.area)}
+      `;
+
+      L.polygon(cell.latlngs, {
+        color: config.color,
+        weight: 2,
+        dashArray: "6, 4",
+        fillColor: config.color,
+        fillOpacity: 0.12,
+      })
+        .bindTooltip(label, {
+          permanent: true,
+          direction: "center",
+          className: "catchment-label",
+        })
+        .bindPopup(
+          `
+          <div class="popup-title">${this.escapeHtml(name)}</div>
+          <div class="popup-category">
+            ${t("catchment.popup", { category: config.name })} &middot;
+            ${this.formatArea(cell.area)}
+          </div>
+        `
+        )
+        .addTo(this.catchmentLayer);
+    });
+  }
+
+  /**
+   * Voronoi cells for a small set of points, clipped to a bounding box.
+   * Each cell is the box cut by the perpendicular bisector to every other
+   * site (O(n²), which is plenty for a single category). Work is done in
+   * local metres so bisectors and areas are not skewed by latitude.
+   */
+  computeVoronoiCells(latlngs, bounds) {
+    const origin = bounds.getCenter();
+    const metersPerDegree = 111320;
+    const k = Math.cos((origin.lat * Math.PI) / 180);
+    const toXY = (latlng) => [
+      (latlng.lng - origin.lng) * k * metersPerDegree,
+      (latlng.lat - origin.lat) * metersPerDegree,
+    ];
+    const toLatLng = ([x, y]) =>
+      L.latLng(
+        origin.lat + y / metersPerDegree,
+        origin.lng + x / (k * metersPerDegree)
+      );
+
+    const [minX, minY] = toXY(bounds.getSouthWest());
+    const [maxX, maxY] = toXY(bounds.getNorthEast());
+    const box = [
+      [minX, minY],
+      [maxX, minY],
+      [maxX, maxY],
+      [minX, maxY],
+    ];
+    const points = latlngs.map(toXY);
+
+    return points.map((site, i) => {
+      let polygon = box;
+
+      points.forEach((other, j) => {
+        if (i === j || polygon.length === 0) return;
+
+        // Keep the half-plane closer to `site` than to `other`
+        const normal = [other[0] - site[0], other[1] - site[1]];
+        const mid = [(site[0] + other[0]) / 2, (site[1] + other[1]) / 2];
+        polygon = this.clipPolygon(
+          polygon,
+          (p) => (p[0] - mid[0]) * normal[0] + (p[1] - mid[1]) * normal[1]
+        );
+      });
+
+      if (polygon.length < 3) return null;
+      return {
+        latlngs: polygon.map(toLatLng),
+        area: this.planarPolygonArea(polygon),
+      };
+    });
+  }
+
+  // Sutherland–Hodgman step: keeps the part where side(p) <= 0
+  clipPolygon(polygon, side) {
+    const result = [];
+
+    polygon.forEach((current, i) => {
+      const next = polygon[(i + 1) % polygon.length];
+      const sideCurrent = side(current);
+      const sideNext = side(next);
+
+      if (sideCurrent <= 0) result.push(current);
+      if (sideCurrent <= 0 !== sideNext <= 0) {
+        const t = sideCurrent / (sideCurrent - sideNext);
+        result.push([
+          current[0] + t * (next[0] - current[0]),
+          current[1] + t * (next[1] - current[1]),
+        ]);
+      }
+    });
+
+    return result;
+  }
+
+  planarPolygonArea(points) {
+    let sum = 0;
+    points.forEach(([x1, y1], i) => {
+      const [x2, y2] = points[(i + 1) % points.length];
+      sum += x1 * y2 - x2 * y1;
+    });
+    return Math.abs(sum) / 2;
+  }
+
+  /**
+   * ===============================================
+   * HEATMAP METHODS
+   * ===============================================
+   */
+  setupHeatmapControls() {
+    const checkbox = document.getElementById("layer-heatmap");
+    const categorySelect = document.getElementById("heatmap-category");
+    const radiusInput = document.getElementById("heatmap-radius");
+    const intensityInput = document.getElementById("heatmap-intensity");
+
+    if (checkbox) {
+      checkbox.addEventListener("change", (e) => {
+        if (!this.heatmapLayer) return;
+        if (e.target.checked) {
+          this.map.addLayer(this.heatmapLayer);
+        } else {
+          this.map.removeLayer(this.heatmapLayer);
+        }
+      });
+    }
+
+    if (categorySelect) {
+      categorySelect.addEventListener("change", () => {
+        this.updateHeatmapLayer();
+      });
+    }
+
+    if (radiusInput) {
+      radiusInput.value = this.config.heatmap.radius;
+      radiusInput.addEventListener("input", () => {
+        this.updateHeatmapOptions();
+      });
+    }
+
+    if (intensityInput) {
+      intensityInput.value = this.config.heatmap.intensity;
+      intensityInput.addEventListener("input", () => {
+        this.updateHeatmapLayer();
+      });
+    }
+
+    this.updateHeatmapLabels();
+  }
+
+  createHeatmapLayer() {
+    const { radius } = this.getHeatmapSettings();
+
+    this.heatmapLayer = L.heatLayer([], {
+      radius,
+      blur: Math.round(radius * 0.75),
+      maxZoom: this.config.heatmap.maxZoom,
+    });
+    this.overlayMaps[this.config.heatmap.name] = this.heatmapLayer;
+
+    // Keep the sidebar checkbox in step with the Leaflet layer control
+    this.map.on("overlayadd overlayremove", (e) => {
+      const checkbox = document.getElementById("layer-heatmap");
+      if (checkbox && e.layer === this.heatmapLayer) {
+        checkbox.checked = e.type === "overlayadd";
+      }
+    });
+
+    this.updateHeatmapLayer();
+  }
+
+  getHeatmapSettings() {
+    const radius = parseInt(
+      document.getElementById("heatmap-radius")?.value,
+      10
+    );
+    const intensity = parseFloat(
+      document.getElementById("heatmap-intensity")?.value
+    );
+
+    return {
+      category: document.getElementById("heatmap-category")?.value || "",
+      radius: Number.isFinite(radius) ? radius : this.config.heatmap.radius,
+      intensity: Number.isFinite(intensity)
+        ? intensity
+        : this.config.heatmap.intensity,
+    };
+  }
+
+  updateHeatmapLayer() {
+    if (!this.heatmapLayer) return;
+
+    const { category, intensity } = this.getHeatmapSettings();
+    const points = (this.facilitiesData?.features || [])
+      .filter(
+        (feature) =>
+          !category ||
+          this.categoryMapping[feature.properties.kategori] === category
+      )
+      .map((feature) => {
+        const [lng, lat] = feature.geometry.coordinates;
+        return [lat, lng, intensity];
+      });
+
+    this.heatmapLayer.setLatLngs(points);
+    this.updateHeatmapLabels();
+  }
+
+  updateHeatmapOptions() {
+    if (!this.heatmapLayer) return;
+
+    const { radius } = this.getHeatmapSettings();
+    this.heatmapLayer.setOptions({
+      radius,
+      blur: Math.round(radius * 0.75),
+    });
+    this.updateHeatmapLabels();
+  }
+
+  updateHeatmapLabels() {
+    const { radius, intensity } = this.getHeatmapSettings();
+    const radiusValue = document.getElementById("heatmap-radius-value");
+    const intensityValue = document.getElementById("heatmap-intensity-value");
+
+    if (radiusValue) radiusValue.textContent = `${radius}px`;
+    if (intensityValue) {
+      intensityValue.textContent = `${intensity.toLocaleString(getLocale())}×`;
+    }
+  }
+
+  /**
+   * ===============================================
+   * PERMALINK METHODS
+   * ===============================================
+   */
+
+  /**
+   * Hash format:
+   * #map=<zoom>/<lat>/<lng>&base=<name>&layers=<key,...>&facility=<key>
+   *   &opacity=<key>:<0-1>,...&order=<key,...>
+   * Missing parts fall back to the defaults. opacity only lists layers
+   * that are not fully opaque and order is front to back.
+   */
+  readPermalink() {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const state = {
+      center: null,
+      zoom: null,
+      base: params.get("base"),
+      layers: null,
+      opacity: null,
+      order: null,
+      facility: params.get("facility"),
+    };
+
+    const [zoom, lat, lng] = (params.get("map") || "").split("/").map(Number);
+    if (
+      [zoom, lat, lng].every(Number.isFinite) &&
+      Math.abs(lat) <= 90 &&
+      Math.abs(lng) <= 180
+    ) {
+      state.zoom = zoom;
+      state.center = [lat, lng];
+    }
+
+    if (params.has("layers")) {
+      state.layers = params.get("layers").split(",").filter(Boolean);
+    }
+
+    if (params.has("opacity")) {
+      state.opacity = {};
+      params
+        .get("opacity")
+        .split(",")
+        .forEach((entry) => {
+          const [layerKey, value] = entry.split(":");
+          if (layerKey && Number.isFinite(parseFloat(value))) {
+            state.opacity[layerKey] = parseFloat(value);
+          }
+        });
+    }
+
+    if (params.has("order")) {
+      state.order = params.get("order").split(",").filter(Boolean);
+    }
+
+    return state;
+  }
+
+  buildPermalinkHash() {
+    const center = this.map.getCenter();
+    const precision = this.config.permalink.coordinatePrecision;
+    const baseName = Object.keys(this.baseMaps).find((name) =>
+      this.map.hasLayer(this.baseMaps[name])
+    );
+    const visibleLayers = Object.keys(this.layerGroups).filter((layerKey) =>
+      this.isLayerVisible(layerKey)
+    );
+
+    const parts = [
+      `map=${this.map.getZoom()}/${center.lat.toFixed(
+        precision
+      )}/${center.lng.toFixed(precision)}`,
+    ];
+    if (baseName) parts.push(`base=${encodeURIComponent(baseName)}`);
+    parts.push(`layers=${visibleLayers.join(",")}`);
+
+    const { opacity, order } = this.layerState;
+    const translucent = Object.entries(opacity).filter(
+      ([, value]) => value < 1
+    );
+    if (translucent.length > 0) {
+      parts.push(
+        `opacity=${translucent
+          .map(([layerKey, value]) => `${layerKey}:${value}`)
+          .join(",")}`
+      );
+    }
+    if (order.join() !== this.getDefaultLayerState().order.join()) {
+      parts.push(`order=${order.join(",")}`);
+    }
+
+    const selected = this.selectedMarker?.layer;
+    if (selected?.isPopupOpen()) {
+      parts.push(
+        `facility=${encodeURIComponent(this.getFeatureKey(selected.feature))}`
+      );
+    }
+
+    return `#${parts.join("&")}`;
+  }
+
+  updatePermalink() {
+    if (!this.permalinkReady) return;
+
+    const hash = this.buildPermalinkHash();
+    if (hash !== window.location.hash) {
+      // replaceState keeps panning from flooding the back button
+      history.replaceState(null, "", hash);
+    }
+  }
+
+  setupPermalinkSync() {
+    this.schedulePermalinkUpdate = debounce(
+      () => this.updatePermalink(),
+      this.config.permalink.updateDelay
+    );
+
+    this.map.on(
+      "moveend baselayerchange overlayadd overlayremove popupopen popupclose",
+      this.schedulePermalinkUpdate
+    );
+
+    // A link pasted into an already open tab
+    window.addEventListener("hashchange", () => {
+      if (window.location.hash === this.buildPermalinkHash()) return;
+      this.permalinkState = this.readPermalink();
+      this.restorePermalinkState();
+    });
+  }
+
+  restorePermalinkState() {
+    const state = this.permalinkState;
+
+    if (!this.schedulePermalinkUpdate) {
+      this.setupPermalinkSync();
+    }
+    this.permalinkReady = false;
+
+    if (state.center) {
+      this.map.setView(state.center, state.zoom);
+    }
+
+    const baseLayer = this.baseMaps[state.base];
+    if (baseLayer && !this.map.hasLayer(baseLayer)) {
+      Object.values(this.baseMaps).forEach((layer) => {
+        this.map.removeLayer(layer);
+      });
+      this.map.addLayer(baseLayer);
+    }
+
+    if (state.layers) {
+      Object.keys(this.layerGroups).forEach((layerKey) => {
+        const visible = state.layers.includes(layerKey);
+        if (this.isLayerVisible(layerKey) !== visible) {
+          this.setLayerVisibility(layerKey, visible);
+        }
+      });
+    }
+
+    // Opacity and order are only written when they differ from the
+    // defaults, so a link that omits them means the defaults
+    if (state.layers || state.opacity || state.order) {
+      Object.keys(this.layerState.opacity).forEach((layerKey) => {
+        this.setLayerOpacity(layerKey, state.opacity?.[layerKey] ?? 1);
+      });
+      this.setLayerOrder(state.order || this.getDefaultLayerState().order);
+    }
+
+    if (state.facility) {
+      this.openPermalinkFacility(state.facility);
+    }
+
+    this.permalinkReady = true;
+    this.schedulePermalinkUpdate();
+  }
+
+  openPermalinkFacility(featureKey) {
+    const layerKey = Object.keys(this.layerGroups).find(
+      (key) => key !== "jalan" && this.findFeatureLayer(key, featureKey)
+    );
+    if (!layerKey) {
+      console.warn(`Facility from link not found: ${featureKey}`);
+      return;
+    }
+
+    const layer = this.findFeatureLayer(layerKey, featureKey);
+    if (!this.isLayerVisible(layerKey)) {
+      this.setLayerVisibility(layerKey, true);
+    }
+
+    // Same handlers as a click: opens the popup and fills the info panel
+    const openLayer = () => layer.fire("click");
+    const clusterGroup = this.clusterGroups[layerKey];
+    if (clusterGroup) {
+      clusterGroup.zoomToShowLayer(layer, openLayer);
+    } else {
+      openLayer();
+    }
+  }
+
+  /**
+   * ===============================================
+   * EXPORT METHODS
+   * ===============================================
+   */
+  setupFacilityExport() {
+    const button = document.getElementById("export-facilities");
+    const formatSelect = document.getElementById("export-format");
+    if (!button || !formatSelect) return;
+
+    button.addEventListener("click", () => {
+      this.exportVisibleFacilities(formatSelect.value);
+    });
+  }
+
+  getVisibleFacilityRecords() {
+    const bounds = this.map.getBounds();
+    const records = [];
+
+    Object.entries(this.layerGroups).forEach(([layerKey, layerGroup]) => {
+      if (layerKey === "jalan" || !this.isLayerVisible(layerKey)) return;
+
+      const config = this.layerConfigs[layerKey];
+      layerGroup.eachLayer((layer) => {
+        const latlng = layer.getLatLng();
+        if (!bounds.contains(latlng)) return;
+
+        const properties = layer.feature.properties;
+        records.push({
+          nama: this.extractFacilityName(properties),
+          kategori: properties.kategori || config.name,
+          alamat: properties.alamat || "",
+          deskripsi: properties.deskripsi || "",
+          latitude: latlng.lat,
+          longitude: latlng.lng,
+        });
+      });
+    });
+
+    return records.sort(
+      (a, b) =>
+        a.kategori.localeCompare(b.kategori, "id") ||
+        a.nama.localeCompare(b.nama, "id")
+    );
+  }
+
+  exportVisibleFacilities(format) {
+    const exporters = {
+      geojson: {
+        build: (records) => this.buildFacilitiesGeoJSON(records),
+        mimeType: "application/geo+json",
+      },
+      csv: {
+        build: (records) => this.buildFacilitiesCSV(records),
+        mimeType: "text/csv;charset=utf-8",
+      },
+      kml: {
+        build: (records) => this.buildFacilitiesKML(records),
+        mimeType: "application/vnd.google-earth.kml+xml",
+      },
+      gpx: {
+        build: (records) => this.buildFacilitiesGPX(records),
+        mimeType: "application/gpx+xml",
+      },
+    };
+
+    const exporter = exporters[format];
+    if (!exporter) {
+      this.showNotification(t("export.unknownFormat"), "error");
+      return;
+    }
+
+    const records = this.getVisibleFacilityRecords();
+    if (records.length === 0) {
+      this.showNotification(t("export.empty"), "warning");
+      return;
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    this.downloadFile(
+      exporter.build(records),
+      `fasilitas-cirendeu-${date}.${format}`,
+      exporter.mimeType
+    );
+    this.showNotification(
+      t("export.done", { count: records.length }),
+      "success"
+    );
+  }
+
+  buildFacilitiesGeoJSON(records) {
+    const geojson = {
+      type: "FeatureCollection",
+      features: records.map(({ latitude, longitude, ...properties }) => ({
+        type: "Feature",
+        properties,
+        geometry: {
+          type: "Point",
+          coordinates: [longitude, latitude],
+        },
+      })),
+    };
+
+    return JSON.stringify(geojson, null, 2);
+  }
+
+  buildFacilitiesCSV(records) {
+    const columns = [
+      "nama",
+      "kategori",
+      "alamat",
+      "deskripsi",
+      "latitude",
+      "longitude",
+    ];
+    const quote = (value) => `"${String(value).replace(/"/g, '""')}"`;
+    const rows = records.map((record) =>
+      columns.map((column) => quote(record[column])).join(",")
+    );
+
+    // BOM so Excel opens the UTF-8 names correctly
+    return `\uFEFF${[columns.join(","), ...rows].join("\r\n")}\r\n`;
+  }
+
+  buildFacilitiesKML(records) {
+    const placemarks = records.map(
+      (record) => `    <Placemark>
+      <name>${this.escapeHtml(record.nama)}</name>
+      <description>${this.escapeHtml(record.deskripsi)}</description>
+      <ExtendedData>
+        <Data name="kategori"><value>${this.escapeHtml(
+          record.kategori
+        )}</value></Data>
+        <Data name="alamat"><value>${this.escapeHtml(
+          record.alamat
+        )}</value></Data>
+      </ExtendedData>
+      <Point><coordinates>${record.longitude},${
+        record.latitude
+      }</coordinates></Point>
+    </Placemark>`
+    );
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${this.escapeHtml(t("export.documentName"))}</name>
+${placemarks.join("\n")}
+  </Document>
+</kml>
+`;
+  }
+
+  buildFacilitiesGPX(records) {
+    const waypoints = records.map(
+      (record) => `  <wpt lat="${record.latitude}" lon="${record.longitude}">
+    <name>${this.escapeHtml(record.nama)}</name>
+    <desc>${this.escapeHtml(
+      [record.alamat, record.deskripsi].filter(Boolean).join(" - ")
+    )}</desc>
+    <type>${this.escapeHtml(record.kategori)}</type>
+  </wpt>`
+    );
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="WebGIS Cirendeu" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata><name>${this.escapeHtml(t("export.documentName"))}</name></metadata>
+${waypoints.join("\n")}
+</gpx>
+`;
+  }
+
+  /**
+   * ===============================================
+   * PRINT METHODS
+   * ===============================================
+   */
+  setupPrintControls() {
+    const titleInput = document.getElementById("print-title");
+    if (titleInput && !titleInput.value) {
+      titleInput.value = this.config.print.defaultTitle;
+    }
+
+    document.getElementById("print-png")?.addEventListener("click", () => {
+      this.exportMapLayout("png");
+    });
+
+    document.getElementById("print-pdf")?.addEventListener("click", () => {
+      this.exportMapLayout("pdf");
+    });
+  }
+
+  getPrintOptions() {
+    const paper = document.getElementById("print-paper")?.value || "a4";
+    const orientation =
+      document.getElementById("print-orientation")?.value || "landscape";
+    const title =
+      document.getElementById("print-title")?.value.trim() ||
+      this.config.print.defaultTitle;
+
+    return {
+      title,
+      paper: this.config.print.paperSizes[paper] ? paper : "a4",
+      orientation: orientation === "portrait" ? "portrait" : "landscape",
+    };
+  }
+
+  async exportMapLayout(format) {
+    if (this.isPrinting) return;
+    this.isPrinting = true;
+
+    try {
+      const options = this.getPrintOptions();
+      this.showNotification(t("print.preparing"), "info");
+
+      await this.loadPrintLibraries(format);
+      const { frameWidth, frameHeight } = this.getPrintLayoutMetrics(options);
+      const mapCanvas = await this.captureMapCanvas(frameWidth / frameHeight);
+      const layout = this.renderPrintLayout(mapCanvas, options);
+
+      const date = new Date().toISOString().slice(0, 10);
+      const filename = `peta-cirendeu-${options.paper}-${options.orientation}-${date}`;
+
+      if (format === "pdf") {
+        const { jsPDF } = window.jspdf;
+        const [width, height] = this.getPaperSize(options);
+        const pdf = new jsPDF({
+          orientation: options.orientation,
+          unit: "mm",
+          format: options.paper,
+        });
+
+        pdf.setProperties({ title: options.title });
+        pdf.addImage(
+          layout.toDataURL("image/jpeg", 0.92),
+          "JPEG",
+          0,
+          0,
+          width,
+          height
+        );
+        this.downloadFile(
+          pdf.output("blob"),
+          `${filename}.pdf`,
+          "application/pdf"
+        );
+      } else {
+        const blob = await new Promise((resolve) =>
+          layout.toBlob(resolve, "image/png")
+        );
+        this.downloadFile(blob, `${filename}.png`, "image/png");
+      }
+
+      this.showSuccessMessage(t("print.done"));
+    } catch (error) {
+      console.error("Error exporting map layout:", error);
+      this.showError(t("print.failed"));
+    } finally {
+      this.isPrinting = false;
+    }
+  }
+
+  async loadPrintLibraries(format) {
+    const { libraries } = this.config.print;
+
+    if (!window.html2canvas) {
+      await this.loadExternalScript(libraries.html2canvas);
+    }
+    if (format === "pdf" && !window.jspdf) {
+      await this.loadExternalScript(libraries.jspdf);
+    }
+  }
+
+  loadExternalScript({ src, integrity }) {
+    return new Promise((resolve, reject) => {
+      const script = document.createElement("script");
+      script.src = src;
+      script.integrity = integrity;
+      script.crossOrigin = "anonymous";
+      script.onload = resolve;
+      script.onerror = () => reject(new Error(`Failed to load ${src}`));
+      document.head.appendChild(script);
+    });
+  }
+
+  async captureMapCanvas(aspectRatio) {
+    const container = this.map.getContainer();
+    const center = this.map.getCenter();
+    const zoom = this.map.getZoom();
+    const size = this.map.getSize();
+    const originalStyle = {
+      width: container.style.width,
+      height: container.style.height,
+    };
+
+    // Reshape the map to the paper frame so the print shows the same
+    // centre without letterboxing, then wait for the new tiles
+    if (aspectRatio > size.x / size.y) {
+      container.style.height = `${Math.round(size.x / aspectRatio)}px`;
+    } else {
+      container.style.width = `${Math.round(size.y * aspectRatio)}px`;
+    }
+    this.map.invalidateSize({ pan: false });
+    this.map.setView(center, zoom, { animate: false });
+    await this.waitForBaseTiles();
+
+    try {
+      return await window.html2canvas(container, {
+        useCORS: true,
+        backgroundColor: "#ffffff",
+        logging: false,
+        scale: this.getCaptureScale(),
+        // Zoom/layer controls are redrawn as a proper legend and scale bar
+        ignoreElements: (element) =>
+          element.classList?.contains("leaflet-control-container"),
+      });
+    } finally {
+      container.style.width = originalStyle.width;
+      container.style.height = originalStyle.height;
+      this.map.invalidateSize({ pan: false });
+      this.map.setView(center, zoom, { animate: false });
+    }
+  }
+
+  waitForBaseTiles(timeout = 5000) {
+    const baseLayer = Object.values(this.baseMaps).find((layer) =>
+      this.map.hasLayer(layer)
+    );
+
+    return new Promise((resolve) => {
+      if (!baseLayer?.isLoading()) {
+        resolve();
+        return;
+      }
+      baseLayer.once("load", resolve);
+      setTimeout(resolve, timeout);
+    });
+  }
+
+  getPrintLayoutMetrics(options) {
+    const [widthMm, heightMm] = this.getPaperSize(options);
+    const mm = this.config.print.dpi / 25.4;
+    const width = Math.round(widthMm * mm);
+    const height = Math.round(heightMm * mm);
+
+    const margin = 10 * mm;
+    const legendItems = this.getPrintLegendItems();
+    const legendColumns = options.orientation === "landscape" ? 4 : 2;
+    const legendHeight =
+      (10 + Math.ceil(legendItems.length / legendColumns) * 6) * mm;
+    const headerHeight = 18 * mm;
+    const footerHeight = 8 * mm;
+    const frameTop = margin + headerHeight;
+
+    return {
+      mm,
+      width,
+      height,
+      margin,
+      legendItems,
+      legendColumns,
+      frameTop,
+      frameWidth: width - margin * 2,
+      frameHeight: height - frameTop - legendHeight - footerHeight - margin,
+    };
+  }
+
+  getPaperSize({ paper, orientation }) {
+    const [width, height] = this.config.print.paperSizes[paper];
+    return orientation === "landscape" ? [height, width] : [width, height];
+  }
+
+  renderPrintLayout(mapCanvas, options) {
+    const {
+      mm,
+      width,
+      height,
+      margin,
+      legendItems,
+      legendColumns,
+      frameTop,
+      frameWidth: contentWidth,
+      frameHeight,
+    } = this.getPrintLayoutMetrics(options);
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    // Header: title and print date
+    ctx.fillStyle = "#2c3e50";
+    ctx.textBaseline = "alphabetic";
+    ctx.textAlign = "left";
+    ctx.font = `bold ${7 * mm}px Segoe UI, Arial, sans-serif`;
+    ctx.fillText(options.title, margin, margin + 7 * mm, contentWidth);
+    ctx.font = `${3.5 * mm}px Segoe UI, Arial, sans-serif`;
+    ctx.fillStyle = "#555555";
+    ctx.fillText(
+      `Kelurahan Cirendeu, Tangerang Selatan · ${new Date().toLocaleDateString(
+        getLocale(),
+        { day: "numeric", month: "long", year: "numeric" }
+      )}`,
+      margin,
+      margin + 13 * mm,
+      contentWidth
+    );
+
+    // Map image, scaled to fit the frame without distortion
+    const scale = Math.min(
+      contentWidth / mapCanvas.width,
+      frameHeight / mapCanvas.height
+    );
+    const mapRect = {
+      x: margin + (contentWidth - mapCanvas.width * scale) / 2,
+      y: frameTop,
+      width: mapCanvas.width * scale,
+      height: mapCanvas.height * scale,
+    };
+
+    ctx.drawImage(
+      mapCanvas,
+      mapRect.x,
+      mapRect.y,
+      mapRect.width,
+      mapRect.height
+    );
+    ctx.strokeStyle = "#2c3e50";
+    ctx.lineWidth = 0.4 * mm;
+    ctx.strokeRect(mapRect.x, mapRect.y, mapRect.width, mapRect.height);
+
+    // The capture is rendered at devicePixelRatio, so convert back to
+    // screen pixels before applying the map's ground resolution
+    const capturedWidth = mapCanvas.width / this.getCaptureScale();
+    const metersPerLayoutPixel =
+      this.getMetersPerPixel() * (capturedWidth / mapRect.width);
+
+    this.drawNorthArrow(ctx, mapRect, mm);
+    this.drawScaleBar(ctx, mapRect, mm, metersPerLayoutPixel);
+    this.drawPrintLegend(
+      ctx,
+      legendItems,
+      {
+        x: margin,
+        y: mapRect.y + mapRect.height + 4 * mm,
+        width: contentWidth,
+        columns: legendColumns,
+      },
+      mm
+    );
+
+    // Footer: data sources
+    ctx.font = `${2.8 * mm}px Segoe UI, Arial, sans-serif`;
+    ctx.fillStyle = "#777777";
+    ctx.textAlign = "left";
+    ctx.fillText(
+      t("print.footer", { attribution: this.getBaseAttribution() }),
+      margin,
+      canvas.height - margin,
+      contentWidth
+    );
+
+    return canvas;
+  }
+
+  getCaptureScale() {
+    return window.devicePixelRatio || 1;
+  }
+
+  getMetersPerPixel() {
+    const size = this.map.getSize();
+    const y = size.y / 2;
+    const left = this.map.containerPointToLatLng([0, y]);
+    const right = this.map.containerPointToLatLng([size.x, y]);
+    return this.map.distance(left, right) / size.x;
+  }
+
+  getBaseAttribution() {
+    const baseLayer = Object.values(this.baseMaps).find((layer) =>
+      this.map.hasLayer(layer)
+    );
+    const attribution = baseLayer?.getAttribution?.() || "";
+    const element = document.createElement("div");
+    element.innerHTML = attribution;
+    return element.textContent.trim();
+  }
+
+  getPrintLegendItems() {
+    return Object.entries(this.layerConfigs)
+      .filter(([layerKey]) => this.isLayerVisible(layerKey))
+      .map(([layerKey, config]) => ({
+        label:
+          layerKey === "jalan"
+            ? config.name
+            : `${config.name} (${
+                this.layerGroups[layerKey].getLayers().length
+              })`,
+        color: config.color,
+        isLine: layerKey === "jalan",
+      }));
+  }
+
+  drawPrintLegend(ctx, items, box, mm) {
+    ctx.fillStyle = "#2c3e50";
+    ctx.textAlign = "left";
+    ctx.textBaseline = "middle";
+    ctx.font = `bold ${3.8 * mm}px Segoe UI, Arial, sans-serif`;
+    ctx.fillText(t("legend.title"), box.x, box.y + 2 * mm);
+
+    const columnWidth = box.width / box.columns;
+    ctx.font = `${3.2 * mm}px Segoe UI, Arial, sans-serif`;
+
+    items.forEach((item, index) => {
+      const x = box.x + (index % box.columns) * columnWidth;
+      const y = box.y + (8 + Math.floor(index / box.columns) * 6) * mm;
+
+      if (item.isLine) {
+        ctx.strokeStyle = item.color;
+        ctx.lineWidth = 0.8 * mm;
+        ctx.setLineDash([1.5 * mm, 1.5 * mm]);
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+        ctx.lineTo(x + 7 * mm, y);
+        ctx.stroke();
+        ctx.setLineDash([]);
+      } else {
+        ctx.fillStyle = item.color;
+        ctx.strokeStyle = "#ffffff";
+        ctx.lineWidth = 0.4 * mm;
+        ctx.beginPath();
+        ctx.arc(x + 3.5 * mm, y, 2 * mm, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+      }
+
+      ctx.fillStyle = "#333333";
+      ctx.fillText(item.label, x + 9 * mm, y, columnWidth - 10 * mm);
+    });
+  }
+
+  drawNorthArrow(ctx, mapRect, mm) {
+    const cx = mapRect.x + mapRect.width - 9 * mm;
+    const cy = mapRect.y + 11 * mm;
+
+    ctx.fillStyle = "rgba(255, 255, 255, 0.85)";
+    ctx.beginPath();
+    ctx.arc(cx, cy, 7 * mm, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Half-filled arrowhead, the usual cartographic north symbol
+    ctx.fillStyle = "#2c3e50";
+    ctx.beginPath();
+    ctx.moveTo(cx, cy - 4 * mm);
+    ctx.lineTo(cx + 2.5 * mm, cy + 4 * mm);
+    ctx.lineTo(cx, cy + 2.5 * mm);
+    ctx.closePath();
+    ctx.fill();
+
+    ctx.strokeStyle = "#2c3e50";
+    ctx.lineWidth = 0.3 * mm;
+    ctx.beginPath();
+    ctx.moveTo(cx, cy - 4 * mm);
+    ctx.lineTo(cx - 2.5 * mm, cy + 4 * mm);
+    ctx.lineTo(cx, cy + 2.5 * mm);
+    ctx.closePath();
+    ctx.stroke();
+
+    ctx.font = `bold ${3 * mm}px Segoe UI, Arial, sans-serif`;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "bottom";
+    ctx.fillText(t("print.north"), cx, cy - 4.2 * mm);
+  }
+
+  drawScaleBar(ctx, mapRect, mm, metersPerPixel) {
+    // Round down to 1, 2 or 5 × 10ⁿ metres within a quarter of the map
+    const maxMeters = (mapRect.width / 4) * metersPerPixel;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(maxMeters)));
+    const step = [5, 2, 1].find((n) => n * magnitude <= maxMeters) || 1;
+    const meters = step * magnitude;
+    const length = meters / metersPerPixel;
+
+    const x = mapRect.x + 5 * mm;
+    const y = mapRect.y + mapRect.height - 6 * mm;
+    const barHeight = 1.5 * mm;
+
+    ctx.fillStyle = "rgba(255, 255, 255, 0.85)";
+    ctx.fillRect(x - 2 * mm, y - 5 * mm, length + 4 * mm, 8.5 * mm);
+
+    ctx.strokeStyle = "#2c3e50";
+    ctx.lineWidth = 0.25 * mm;
+    [0, 1].forEach((half) => {
+      ctx.fillStyle = half === 0 ? "#2c3e50" : "#ffffff";
+      ctx.fillRect(x + (half * length) / 2, y, length / 2, barHeight);
+    });
+    ctx.strokeRect(x, y, length, barHeight);
+
+    ctx.fillStyle = "#2c3e50";
+    ctx.font = `${2.6 * mm}px Segoe UI, Arial, sans-serif`;
+    ctx.textBaseline = "bottom";
+    ctx.textAlign = "left";
+    ctx.fillText("0", x, y - 0.5 * mm);
+    ctx.textAlign = "right";
+    ctx.fillText(this.formatDistance(meters), x + length, y - 0.5 * mm);
+  }
+
+  /**
+   * ===============================================
+   * OFFLINE METHODS
+   * ===============================================
+   */
+  registerServiceWorker() {
+    if (!("serviceWorker" in navigator)) return;
+
+    navigator.serviceWorker
+      .register(this.config.offline.serviceWorker)
+      .catch((error) => {
+        console.warn("Service worker registration failed:", error);
+      });
+
+    navigator.serviceWorker.addEventListener("message", (event) => {
+      if (event.data?.type === "PRECACHE_PROGRESS") {
+        this.handleOfflineProgress(event.data);
+      }
+    });
+  }
+
+  setupOfflineControls() {
+    const button = document.getElementById("offline-download");
+    const minZoom = document.getElementById("offline-min-zoom");
+    const maxZoom = document.getElementById("offline-max-zoom");
+
+    if (minZoom) minZoom.value = this.config.offline.minZoom;
+    if (maxZoom) maxZoom.value = this.config.offline.maxZoom;
+
+    [minZoom, maxZoom].forEach((select) => {
+      select?.addEventListener("change", () => this.updateOfflineEstimate());
+    });
+
+    if (button) {
+      if ("serviceWorker" in navigator) {
+        button.addEventListener("click", () => this.downloadOfflineArea());
+      } else {
+        button.disabled = true;
+        button.title = t("offline.unsupported");
+      }
+    }
+
+    window.addEventListener("online", () => {
+      this.updateDataStatus();
+      // Swap cached data for live data as soon as the signal returns
+      if (this.dataStatus.source !== "live") {
+        this.refreshMap();
+      }
+    });
+    window.addEventListener("offline", () => this.updateDataStatus());
+
+    this.updateOfflineEstimate();
+  }
+
+  getOfflineZoomRange() {
+    const { minZoom, maxZoom } = this.config.offline;
+    const from = parseInt(
+      document.getElementById("offline-min-zoom")?.value,
+      10
+    );
+    const to = parseInt(document.getElementById("offline-max-zoom")?.value, 10);
+    const start = Number.isFinite(from) ? from : minZoom;
+    const end = Number.isFinite(to) ? to : maxZoom;
+
+    return [Math.min(start, end), Math.max(start, end)];
+  }
+
+  getOfflineTileUrls(minZoom, maxZoom) {
+    const bounds = L.latLngBounds(this.config.areaBounds);
+    const urls = [];
+
+    for (let z = minZoom; z <= maxZoom; z++) {
+      const topLeft = this.map
+        .project(bounds.getNorthWest(), z)
+        .divideBy(256)
+        .floor();
+      const bottomRight = this.map
+        .project(bounds.getSouthEast(), z)
+        .divideBy(256)
+        .floor();
+
+      for (let x = topLeft.x; x <= bottomRight.x; x++) {
+        for (let y = topLeft.y; y <= bottomRight.y; y++) {
+          urls.push(L.Util.template(this.config.offline.tileUrl, { x, y, z }));
+        }
+      }
+    }
+
+    return urls;
+  }
+
+  updateOfflineEstimate() {
+    const estimate = document.getElementById("offline-estimate");
+    if (!estimate) return;
+
+    const tileCount = this.getOfflineTileUrls(
+      ...this.getOfflineZoomRange()
+    ).length;
+    const megabytes = (tileCount * this.config.offline.averageTileKb) / 1024;
+
+    estimate.textContent = t("offline.estimate", {
+      tiles: tileCount.toLocaleString(getLocale()),
+      size: megabytes.toLocaleString(getLocale(), {
+        maximumFractionDigits: 1,
+      }),
+    });
+  }
+
+  async downloadOfflineArea() {
+    const button = document.getElementById("offline-download");
+
+    try {
+      if (button) button.disabled = true;
+
+      const registration = await navigator.serviceWorker.ready;
+      const toAbsolute = (url) => new URL(url, window.location.href).href;
+      const { facilities, facilitiesStats, roads } = this.config.apiEndpoints;
+
+      const photos = (this.facilitiesData?.features || [])
+        .flatMap((feature) => this.getFacilityPhotos(feature.properties))
+        .map((photo) => photo.src);
+
+      const urls = [
+        `${facilities}?format=geojson&limit=1000`,
+        facilitiesStats,
+        roads,
+        this.config.roadDataFile,
+        ...this.config.facilityDataFiles,
+        ...new Set(photos),
+      ].map(toAbsolute);
+      const tiles = this.getOfflineTileUrls(...this.getOfflineZoomRange());
+
+      this.handleOfflineProgress({
+        done: 0,
+        failed: 0,
+        total: tiles.length + urls.length,
+        finished: false,
+      });
+      registration.active.postMessage({ type: "PRECACHE", tiles, urls });
+    } catch (error) {
+      console.error("Error starting offline download:", error);
+      this.showError(t("offline.failed"));
+      if (button) button.disabled = false;
+    }
+  }
+
+  handleOfflineProgress({ done, failed, total, finished }) {
+    const progress = document.getElementById("offline-progress");
+    if (progress) {
+      progress.textContent = finished
+        ? t("offline.finished", { saved: total - failed, total })
+        : t("offline.progress", { done, total });
+    }
+
+    if (!finished) return;
+
+    const button = document.getElementById("offline-download");
+    if (button) button.disabled = false;
+
+    if (failed > 0) {
+      this.showNotification(t("offline.partial", { failed }), "warning");
+    } else {
+      this.showSuccessMessage(t("offline.ready"));
+    }
+  }
+
+  setDataStatus(source, cachedAt = null) {
+    this.dataStatus = { source, cachedAt };
+    this.updateDataStatus();
+  }
+
+  updateDataStatus() {
+    const banner = document.getElementById("data-status");
+    if (!banner) return;
+
+    const { source, cachedAt } = this.dataStatus;
+    let message = "";
+
+    if (source === "fallback") {
+      message = t("status.fallback");
+    } else if (source === "cache") {
+      const date = cachedAt
+        ? new Date(cachedAt).toLocaleString(getLocale(), {
+            dateStyle: "medium",
+            timeStyle: "short",
+          })
+        : t("status.earlier");
+      message = t("status.cached", { date });
+    } else if (!navigator.onLine) {
+      message = t("status.offline");
+    }
+
+    banner.hidden = !message;
+    banner.innerHTML = message
+      ? `<i class="fas fa-wifi"></i> ${this.escapeHtml(message)}`
+      : "";
+  }
+
+  /**
+   * ===============================================
+   * FACILITY BROWSER METHODS
+   * ===============================================
+   */
+  setupFacilityBrowser() {
+    const list = document.getElementById("browse-list");
+    const sort = document.getElementById("browse-sort");
+    const origin = document.getElementById("browse-origin");
+    if (!list) return;
+
+    this.browsePage = 0;
+
+    sort?.addEventListener("change", () => {
+      document.getElementById("browse-origin-field").hidden =
+        sort.value !== "distance";
+      this.browsePage = 0;
+      this.updateFacilityBrowser();
+    });
+
+    origin?.addEventListener("change", async () => {
+      if (origin.value === "location" && !this.userLocation) {
+        try {
+          await this.getUserLocation();
+        } catch (error) {
+          this.showError(error.message);
+          origin.value = "center";
+        }
+      }
+      this.browsePage = 0;
+      this.updateFacilityBrowser();
+    });
+
+    document.getElementById("browse-prev")?.addEventListener("click", () => {
+      this.browsePage--;
+      this.updateFacilityBrowser();
+    });
+    document.getElementById("browse-next")?.addEventListener("click", () => {
+      this.browsePage++;
+      this.updateFacilityBrowser();
+    });
+
+    list.addEventListener("click", (e) => {
+      const item = e.target.closest(".browse-item");
+      if (!item) return;
+
+      const { layer: layerKey, key } = item.dataset;
+      const layer = this.findFeatureLayer(layerKey, key);
+      if (layer) {
+        this.focusFeatureLayer(layerKey, layer, this.config.browse.focusZoom);
+      }
+    });
+
+    // Pointer and keyboard both point the row's marker out on the map
+    const highlight = (e) => {
+      this.highlightBrowseMarker(e.target.closest(".browse-item"));
+    };
+    list.addEventListener("mouseover", highlight);
+    list.addEventListener("focusin", highlight);
+    list.addEventListener("mouseleave", () => this.highlightBrowseMarker(null));
+    list.addEventListener("focusout", () => this.highlightBrowseMarker(null));
+
+    this.map.on("moveend", () => this.updateFacilityBrowser());
+  }
+
+  getBrowseOrigin() {
+    const origin = document.getElementById("browse-origin")?.value;
+    return origin === "location" && this.userLocation
+      ? this.userLocation
+      : this.map.getCenter();
+  }
+
+  // Facilities on visible layers inside the current view, after the
+  // open-now filter
+  getBrowseRecords() {
+    const bounds = this.map.getBounds();
+    const origin = this.getBrowseOrigin();
+    const records = [];
+
+    Object.entries(this.layerGroups).forEach(([layerKey, layerGroup]) => {
+      if (layerKey === "jalan" || !this.isLayerVisible(layerKey)) return;
+
+      layerGroup.eachLayer((layer) => {
+        const latlng = layer.getLatLng();
+        if (!bounds.contains(latlng)) return;
+
+        records.push({
+          layerKey,
+          layer,
+          name: this.extractFacilityName(layer.feature.properties),
+          category: this.layerConfigs[layerKey].name,
+          distance: origin.distanceTo(latlng),
+        });
+      });
+    });
+
+    const byName = (a, b) => a.name.localeCompare(b.name, getLocale());
+    const comparators = {
+      name: byName,
+      category: (a, b) =>
+        a.category.localeCompare(b.category, getLocale()) || byName(a, b),
+      distance: (a, b) => a.distance - b.distance,
+    };
+    const sort = document.getElementById("browse-sort")?.value || "name";
+
+    return records.sort(comparators[sort] || byName);
+  }
+
+  updateFacilityBrowser() {
+    const list = document.getElementById("browse-list");
+    if (!list) return;
+
+    const records = this.getBrowseRecords();
+    const { pageSize } = this.config.browse;
+    const pages = Math.max(1, Math.ceil(records.length / pageSize));
+    this.browsePage = Math.min(Math.max(this.browsePage || 0, 0), pages - 1);
+
+    const start = this.browsePage * pageSize;
+    const pageRecords = records.slice(start, start + pageSize);
+    const showDistance =
+      document.getElementById("browse-sort")?.value === "distance";
+    const selectedKey = this.selectedMarker
+      ? this.getFeatureKey(this.selectedMarker.layer.feature)
+      : null;
+
+    // Selecting a row pans the map, and moveend lands here; keep keyboard
+    // focus on the same facility instead of dropping it to <body>
+    const focusedKey = list.contains(document.activeElement)
+      ? document.activeElement.dataset.key
+      : null;
+
+    this.highlightBrowseMarker(null);
+    list.innerHTML = pageRecords
+      .map((record) => this.createBrowseItem(record, showDistance, selectedKey))
+      .join("");
+
+    if (focusedKey) {
+      [...list.querySelectorAll(".browse-item")]
+        .find((item) => item.dataset.key === focusedKey)
+        ?.focus();
+    }
+
+    const summary = document.getElementById("browse-summary");
+    if (summary) {
+      summary.textContent =
+        records.length > 0
+          ? t("browse.summary", {
+              from: start + 1,
+              to: start + pageRecords.length,
+              count: records.length,
+            })
+          : t("browse.empty");
+    }
+
+    const pageLabel = document.getElementById("browse-page");
+    if (pageLabel) {
+      pageLabel.textContent = t("browse.page", {
+        page: this.browsePage + 1,
+        pages,
+      });
+    }
+    document.getElementById("browse-prev").disabled = this.browsePage === 0;
+    document.getElementById("browse-next").disabled =
+      this.browsePage >= pages - 1;
+  }
+
+  createBrowseItem(record, showDistance, selectedKey) {
+    const config = this.layerConfigs[record.layerKey];
+    const key = this.getFeatureKey(record.layer.feature);
+
+    return `
+      <li>
+        <button type="button" class="browse-item${
+          key === selectedKey ? " active" : ""
+        }" data-layer="${record.layerKey}" data-key="${this.escapeHtml(key)}">
+          <i class="${config.icon}" style="color: ${
+      config.color
+    };" aria-hidden="true"></i>
+          <span class="browse-name">
+            ${this.escapeHtml(record.name)}
+            <small>${config.name}</small>
+          </span>
+          ${
+            showDistance
+              ? `<span class="nearest-distance">${this.formatDistance(
+                  record.distance
+                )}</span>`
+              : ""
+          }
+        </button>
+      </li>
+    `;
+  }
+
+  // A clustered marker is pointed out through the cluster that holds it
+  highlightBrowseMarker(item) {
+    this.browseHighlight?.getElement()?.classList.remove("hover");
+    this.browseHighlight = null;
+    if (!item) return;
+
+    const { layer: layerKey, key } = item.dataset;
+    const layer = this.findFeatureLayer(layerKey, key);
+    if (!layer) return;
+
+    const clusterGroup = this.clusterGroups[layerKey];
+    this.browseHighlight = clusterGroup
+      ? clusterGroup.getVisibleParent(layer)
+      : layer;
+    this.browseHighlight?.getElement()?.classList.add("hover");
+  }
+
+  /**
+   * ===============================================
+   * ACCESSIBILITY METHODS
    * ===============================================
    */
-  async updateStatistics() {
-    try {
-      await this.loadStatisticsFromAPI();
-    } catch (error) {
-      console.warn(
-        "Failed to load stats from API, calculating from local data:",
-        error
-      );
-      this.calculateLocalStatistics();
-    }
-
-    this.renderStatistics();
-  }
+  setupAccessibility() {
+    const toggle = document.getElementById("facility-list-toggle");
+    const view = document.getElementById("facility-list-view");
+    const contrast = document.getElementById("high-contrast");
 
-  async loadStatisticsFromAPI() {
-    const response = await fetch(this.config.apiEndpoints.facilitiesStats);
+    if (toggle && view) {
+      toggle.addEventListener("click", () => {
+        this.setFacilityListOpen(view.hidden);
+      });
 
-    if (!response.ok) {
-      throw new Error("Failed to fetch stats from API");
-    }
+      view
+        .querySelector(".facility-list-close")
+        ?.addEventListener("click", () => this.setFacilityListOpen(false));
 
-    const result = await response.json();
+      view.addEventListener("click", (e) => {
+        const item = e.target.closest(".facility-list-item");
+        if (item) this.selectFacilityListItem(item);
+      });
 
-    if (!result.success || !result.data) {
-      throw new Error("Invalid API response");
+      view.addEventListener("keydown", (e) => this.handleFacilityListKey(e));
     }
 
-    this.processAPIStatistics(result.data);
+    this.applyHighContrast(this.isHighContrast());
+    if (contrast) {
+      contrast.checked = this.isHighContrast();
+      contrast.addEventListener("change", (e) => {
+        this.setHighContrast(e.target.checked);
+      });
+    }
   }
 
-  processAPIStatistics(apiStats) {
-    this.stats = {
-      jalan: this.getJalanData().features.length,
-      masjid: 0,
-      pendidikan: 0,
-      kesehatan: 0,
-      "prasarana-umum": 0,
-      "fasilitas-publik": 0,
-    };
+  setFacilityListOpen(open) {
+    const view = document.getElementById("facility-list-view");
+    const toggle = document.getElementById("facility-list-toggle");
+    if (!view) return;
 
-    const categoryMap = {
-      Masjid: "masjid",
-      Pendidikan: "pendidikan",
-      Kesehatan: "kesehatan",
-      "Prasarana Umum": "prasarana-umum",
-      "Fasilitas Publik": "fasilitas-publik",
-    };
+    view.hidden = !open;
+    toggle?.setAttribute("aria-expanded", String(open));
 
-    if (apiStats.by_category) {
-      apiStats.by_category.forEach((item) => {
-        const key = categoryMap[item.kategori];
-        if (key) {
-          this.stats[key] = parseInt(item.count);
-        }
-      });
+    if (open) {
+      this.renderFacilityListView();
+      document.getElementById("facility-list-title")?.focus();
+    } else if (view.contains(document.activeElement)) {
+      toggle?.focus();
     }
   }
 
-  calculateLocalStatistics() {
-    const facilitiesByCategory = this.groupFacilitiesByCategory();
-
-    this.stats = {
-      jalan: this.getJalanData().features.length,
-      masjid: facilitiesByCategory["Masjid"]?.length || 0,
-      pendidikan: facilitiesByCategory["Pendidikan"]?.length || 0,
-      kesehatan: facilitiesByCategory["Kesehatan"]?.length || 0,
-      "prasarana-umum": facilitiesByCategory["Prasarana Umum"]?.length || 0,
-      "fasilitas-publik": facilitiesByCategory["Fasilitas Publik"]?.length || 0,
-    };
+  updateFacilityListView() {
+    const view = document.getElementById("facility-list-view");
+    if (view && !view.hidden) {
+      this.renderFacilityListView();
+    }
   }
 
-  renderStatistics() {
-    const statsContent = document.getElementById("stats-content");
-    if (!statsContent) return;
+  // Same facilities as the map: visible layers only, after the open-now
+  // filter (which removes markers rather than hiding them)
+  renderFacilityListView() {
+    const content = document.getElementById("facility-list-content");
+    const summary = document.getElementById("facility-list-summary");
+    if (!content) return;
 
-    const statsEntries = [
-      { key: "jalan", config: this.layerConfigs.jalan },
-      { key: "masjid", config: this.layerConfigs.masjid },
-      { key: "pendidikan", config: this.layerConfigs.pendidikan },
-      { key: "kesehatan", config: this.layerConfigs.kesehatan },
-      { key: "prasarana-umum", config: this.layerConfigs["prasarana-umum"] },
-      {
-        key: "fasilitas-publik",
-        config: this.layerConfigs["fasilitas-publik"],
-      },
-    ];
+    const selectedKey = this.selectedMarker
+      ? this.getFeatureKey(this.selectedMarker.layer.feature)
+      : null;
+    let total = 0;
 
-    statsContent.innerHTML = statsEntries
-      .map(({ key, config }) => {
-        if (!config) {
-          console.warn(`Config not found for key: ${key}`);
-          return "";
-        }
+    content.innerHTML = Object.entries(this.layerGroups)
+      .filter(
+        ([layerKey]) => layerKey !== "jalan" && this.isLayerVisible(layerKey)
+      )
+      .map(([layerKey, layerGroup]) => {
+        const config = this.layerConfigs[layerKey];
+        const features = layerGroup
+          .getLayers()
+          .map((layer) => layer.feature)
+          .sort((a, b) =>
+            this.extractFacilityName(a.properties).localeCompare(
+              this.extractFacilityName(b.properties),
+              getLocale()
+            )
+          );
+        if (features.length === 0) return "";
 
-        const count = this.stats[key] || 0;
+        total += features.length;
         return `
-          <div class="stat-item">
-            <span><i class="${config.icon}" style="color: ${config.color}; margin-right: 5px;"></i>${config.name}</span>
-            <span class="stat-count">${count}</span>
-          </div>
+          <section class="facility-list-group">
+            <h3>
+              <i class="${config.icon}" style="color: ${
+          config.color
+        };" aria-hidden="true"></i>
+              ${config.name}
+              <span class="facility-list-count">${features.length}</span>
+            </h3>
+            <ul>
+              ${features
+                .map((feature) =>
+                  this.createFacilityListItem(layerKey, feature, selectedKey)
+                )
+                .join("")}
+            </ul>
+          </section>
         `;
       })
       .join("");
+
+    if (summary) {
+      summary.textContent =
+        total > 0 ? t("list.summary", { count: total }) : t("list.empty");
+    }
   }
 
-  updateFeatureInfo(category, name, description, alamat = "", foto = "") {
-    const infoPanel = document.getElementById("feature-info");
-    if (!infoPanel) return;
+  createFacilityListItem(layerKey, feature, selectedKey) {
+    const properties = feature.properties;
+    const key = this.getFeatureKey(feature);
+    const selected = key === selectedKey;
+    const status = this.getOpeningStatus(properties);
 
-    let infoContent = `
-      <div class="feature-info-update">
-        <h4 style="color: #ffd700; margin-bottom: 5px;">${category}</h4>
-        <p style="font-weight: bold; margin-bottom: 5px;">${name}</p>
-        <p style="font-size: 0.9em; opacity: 0.8; margin-bottom: 10px;">${description}</p>
+    return `
+      <li>
+        <button type="button" class="facility-list-item${
+          selected ? " active" : ""
+        }" data-layer="${layerKey}" data-key="${this.escapeHtml(key)}"${
+      selected ? ' aria-current="true"' : ""
+    }>
+          <span class="facility-list-name">
+            ${this.escapeHtml(this.extractFacilityName(properties))}
+          </span>
+          ${
+            properties.alamat
+              ? `<span class="facility-list-meta">${this.escapeHtml(
+                  properties.alamat
+                )}</span>`
+              : ""
+          }
+          ${
+            status
+              ? `<span class="open-badge ${status.open ? "open" : "closed"}">
+                  ${t(status.open ? "hours.open" : "hours.closed")}
+                </span>`
+              : ""
+          }
+        </button>
+      </li>
     `;
+  }
 
-    if (alamat) {
-      infoContent += `<p style="font-size: 0.8em; opacity: 0.7;"><i class="fas fa-map-marker-alt"></i> ${alamat}</p>`;
+  selectFacilityListItem(item) {
+    const { layer: layerKey, key } = item.dataset;
+    const layer = this.findFeatureLayer(layerKey, key);
+    if (!layer) return;
+
+    // Focus stays in the list; the info panel announces the details
+    this.focusFeatureLayer(layerKey, layer, this.config.listView.focusZoom);
+  }
+
+  markFacilityListSelection(featureKey) {
+    document
+      .querySelectorAll("#facility-list-content .facility-list-item")
+      .forEach((item) => {
+        const selected = item.dataset.key === featureKey;
+        item.classList.toggle("active", selected);
+
+        if (selected) {
+          item.setAttribute("aria-current", "true");
+          item.scrollIntoView?.({ block: "nearest" });
+        } else {
+          item.removeAttribute("aria-current");
+        }
+      });
+
+    document.querySelectorAll("#browse-list .browse-item").forEach((item) => {
+      item.classList.toggle("active", item.dataset.key === featureKey);
+    });
+  }
+
+  handleFacilityListKey(e) {
+    if (e.key === "Escape") {
+      // Keep the global handler from also closing popups and tools
+      e.stopPropagation();
+      this.setFacilityListOpen(false);
+      return;
     }
 
-    if (foto) {
-      infoContent += `<div style="margin-top: 10px;"><img src="uploads/${foto}" style="max-width: 100%; border-radius: 5px;"></div>`;
+    const keys = ["ArrowDown", "ArrowUp", "Home", "End"];
+    if (!keys.includes(e.key)) return;
+
+    const items = [
+      ...document.querySelectorAll(
+        "#facility-list-content .facility-list-item"
+      ),
+    ];
+    const index = items.indexOf(document.activeElement);
+    if (index === -1) return;
+
+    e.preventDefault();
+    const target = {
+      ArrowDown: Math.min(index + 1, items.length - 1),
+      ArrowUp: Math.max(index - 1, 0),
+      Home: 0,
+      End: items.length - 1,
+    }[e.key];
+    items[target].focus();
+  }
+
+  // An explicit choice wins; otherwise follow the system setting
+  isHighContrast() {
+    try {
+      const stored = localStorage.getItem(this.config.highContrast.storageKey);
+      if (stored !== null) return stored === "true";
+    } catch (error) {
+      console.warn("Could not read contrast preference:", error);
     }
+    return Boolean(window.matchMedia?.("(prefers-contrast: more)").matches);
+  }
 
-    infoContent += "</div>";
-    infoPanel.innerHTML = infoContent;
+  setHighContrast(enabled) {
+    try {
+      localStorage.setItem(
+        this.config.highContrast.storageKey,
+        String(enabled)
+      );
+    } catch (error) {
+      console.warn("Could not save contrast preference:", error);
+    }
+    this.applyHighContrast(enabled);
+  }
+
+  applyHighContrast(enabled) {
+    document.body.classList.toggle("high-contrast", enabled);
   }
 
   /**
@@ -606,33 +6021,190 @@ class GISCirendeuApp {
    * UTILITY METHODS
    * ===============================================
    */
+  formatArea(squareMeters) {
+    if (squareMeters < 10000) {
+      return `${Math.round(squareMeters).toLocaleString(getLocale())} m²`;
+    }
+    return `${(squareMeters / 10000).toLocaleString(getLocale(), {
+      maximumFractionDigits: 2,
+    })} ha`;
+  }
+
+  createCirclePolygon(center, radius, steps = 64) {
+    const ring = [];
+    for (let i = 0; i <= steps; i++) {
+      ring.push(this.destinationPoint(center, radius, (360 * i) / steps));
+    }
+    return ring;
+  }
+
+  destinationPoint(latlng, distance, bearing) {
+    const R = 6371008.8;
+    const toRad = Math.PI / 180;
+    const angular = distance / R;
+    const theta = bearing * toRad;
+    const lat1 = latlng.lat * toRad;
+    const lng1 = latlng.lng * toRad;
+
+    const lat2 = Math.asin(
+      Math.sin(lat1) * Math.cos(angular) +
+        Math.cos(lat1) * Math.sin(angular) * Math.cos(theta)
+    );
+    const lng2 =
+      lng1 +
+      Math.atan2(
+        Math.sin(theta) * Math.sin(angular) * Math.cos(lat1),
+        Math.cos(angular) - Math.sin(lat1) * Math.sin(lat2)
+      );
+
+    return L.latLng(lat2 / toRad, lng2 / toRad);
+  }
+
+  downloadFile(content, filename, mimeType) {
+    const blob =
+      content instanceof Blob
+        ? content
+        : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Waits for a single click on the map and resolves with its latlng,
+   * or with null if cancelled (Escape, or another pick starting).
+   */
+  pickMapPoint(message) {
+    this.cancelMapPick();
+    this.cancelMeasurement();
+    this.stopSketchTool();
+
+    return new Promise((resolve) => {
+      const container = this.map.getContainer();
+      const onClick = (e) => finish(e.latlng);
+      const finish = (latlng) => {
+        container.classList.remove("picking");
+        this.map.off("click", onClick);
+        this.mapPick = null;
+        resolve(latlng);
+      };
+
+      container.classList.add("picking");
+      this.map.on("click", onClick);
+      this.mapPick = { cancel: () => finish(null) };
+      this.showNotification(message, "info");
+    });
+  }
+
+  cancelMapPick() {
+    if (this.mapPick) {
+      this.mapPick.cancel();
+    }
+  }
+
+  formatDistance(meters) {
+    if (meters < 1000) {
+      return `${Math.round(meters)} m`;
+    }
+    return `${(meters / 1000).toLocaleString(getLocale(), {
+      maximumFractionDigits: 2,
+    })} km`;
+  }
+
+  formatDuration(minutes) {
+    const rounded = Math.max(1, Math.round(minutes));
+    if (rounded < 60) {
+      return t("duration.minutes", { minutes: rounded });
+    }
+
+    const hours = Math.floor(rounded / 60);
+    const rest = rounded % 60;
+    return rest
+      ? t("duration.hoursMinutes", { hours, minutes: rest })
+      : t("duration.hours", { hours });
+  }
+
+  // The API stores text HTML-escaped (InputValidator::sanitizeValue). Decode
+  // it once on load so every view can escape it exactly once when rendering
+  decodeFacilityText(data) {
+    const fields = ["nama", "alamat", "deskripsi", "telepon", "website"];
+
+    (data.features || []).forEach(({ properties }) => {
+      if (!properties) return;
+
+      fields.forEach((field) => {
+        if (typeof properties[field] === "string") {
+          properties[field] = this.decodeHtml(properties[field]);
+        }
+      });
+      (properties.galeri || []).forEach((photo) => {
+        if (photo.keterangan) {
+          photo.keterangan = this.decodeHtml(photo.keterangan);
+        }
+      });
+    });
+    return data;
+  }
+
+  decodeHtml(text) {
+    const textarea = document.createElement("textarea");
+    textarea.innerHTML = text || "";
+    return textarea.value;
+  }
+
+  escapeHtml(text) {
+    return String(text ?? "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  }
+
   extractFacilityName(properties) {
     return (
       properties.nama ||
       properties.Nama ||
       properties.nama_fasilitas ||
-      "Tidak Dikenal"
+      t("facility.unnamed")
     );
   }
 
-  getCategoryDescription(layerType) {
-    const descriptions = {
-      masjid: "Tempat ibadah umat Islam",
-      pendidikan: "Lembaga pendidikan dan pembelajaran",
-      kesehatan: "Fasilitas pelayanan kesehatan",
-      "prasarana-umum": "Infrastruktur dan prasarana umum",
-      "fasilitas-publik": "Fasilitas pelayanan publik",
+  getFacilityDetails(properties, config, layerType) {
+    return {
+      name: this.extractFacilityName(properties),
+      category: properties.kategori || config.name,
+      alamat: properties.alamat || "",
+      deskripsi: properties.deskripsi || this.getCategoryDescription(layerType),
     };
-    return descriptions[layerType] || "Fasilitas umum";
   }
 
-  setupLayerControls() {
-    this.layerControl = L.control
-      .layers(this.baseMaps, this.overlayMaps, {
-        position: "topright",
-        collapsed: true,
-      })
-      .addTo(this.map);
+  getFeatureKey(feature) {
+    const properties = feature.properties || {};
+    if (properties.id !== undefined && properties.id !== null) {
+      return String(properties.id);
+    }
+    return `${this.extractFacilityName(properties)}@${
+      feature.geometry?.coordinates
+    }`;
+  }
+
+  getCategoryDescription(layerType) {
+    return (
+      this.layerConfigs[layerType]?.description ||
+      t("category.default.description")
+    );
+  }
+
+  // kategori values stay Indonesian in the data; this is the display name
+  getCategoryLabel(kategori) {
+    return this.layerConfigs[this.categoryMapping[kategori]]?.name || kategori;
   }
 
   /**
@@ -697,10 +6269,17 @@ class GISCirendeuApp {
       cursor: pointer;
     `;
 
+    notification.className = `notification notification-${type}`;
+    // Errors interrupt; everything else waits for the screen reader
+    if (type === "error") {
+      notification.setAttribute("role", "alert");
+    }
     notification.innerHTML = `<i class="${
       icons[type] || icons.info
-    }"></i> ${message}`;
-    document.body.appendChild(notification);
+    }" aria-hidden="true"></i> ${message}`;
+    (document.getElementById("notifications") || document.body).appendChild(
+      notification
+    );
 
     // Animate in
     setTimeout(() => (notification.style.transform = "translateX(0)"), 100);
@@ -745,526 +6324,6 @@ class GISCirendeuApp {
       ],
     };
   }
-
-  getJalanData() {
-    // Returns the road data - keeping it the same as original for brevity
-    // In a real refactor, this could be moved to a separate data file
-    return {
-      type: "FeatureCollection",
-      name: "GEOJSON_JALAN",
-      crs: {
-        type: "name",
-        properties: { name: "urn:ogc:def:crs:OGC:1.3:CRS84" },
-      },
-      features: [
-        {
-          type: "Feature",
-          properties: { id: 1, jalan: "JL.RAYA CIRENDEU" },
-          geometry: {
-            type: "MultiLineString",
-            coordinates: [
-              [
-                [106.769337706616966, -6.315609164449183],
-                [106.769627443848549, -6.314320205226631],
-                [106.769668304227352, -6.313818736941199],
-                [106.769939468559485, -6.312793512890984],
-                [106.77071210117704, -6.311835151278826],
-                [106.771577598291898, -6.310698489831848],
-                [106.772350230909439, -6.309688124101201],
-                [106.772595393182328, -6.308596037612928],
-                [106.772528530744268, -6.307021055738685],
-                [106.772587964022534, -6.30558722790034],
-                [106.772654826460595, -6.305349494787247],
-              ],
-            ],
-          },
-        },
-        {
-          type: "Feature",
-          properties: { id: 2, jalan: "JL. KALI SITU GINTUNG BARAT" },
-          geometry: {
-            type: "MultiLineString",
-            coordinates: [
-              [
-                [106.761927119732235, -6.300884569756964],
-                [106.762350581839939, -6.301166877828762],
-                [106.762915197983531, -6.301241169426604],
-                [106.763338660091236, -6.301211452787467],
-                [106.763687830601086, -6.300773132360201],
-                [106.764586758934968, -6.30025309117531],
-                [106.765782853660227, -6.29980734158826],
-                [106.76616174080921, -6.299443312758836],
-                [106.766540627958207, -6.298670680141282],
-                [106.766548057118001, -6.298143209796606],
-                [106.766555486277781, -6.297823755925887],
-                [106.766926944266984, -6.297370577179053],
-                [106.767261256457274, -6.297155131545312],
-                [106.767528706209504, -6.296961973390924],
-                [106.767677289405185, -6.296805961035457],
-              ],
-            ],
-          },
-        },
-        {
-          type: "Feature",
-          properties: { id: 3, jalan: "JL. KH AHMAD DAHLAN" },
-          geometry: {
-            type: "MultiLineString",
-            coordinates: [
-              [
-                [106.76547082894929, -6.295892174382004],
-                [106.766392044762526, -6.29579559530481],
-                [106.766540627958207, -6.295803024464594],
-                [106.766964090065912, -6.296701952798478],
-                [106.767573281168211, -6.296850535994161],
-                [106.767733008103534, -6.296861679733838],
-                [106.767903878778583, -6.296984260870277],
-                [106.76795588289707, -6.29715141696542],
-                [106.767811014281278, -6.297333431380133],
-                [106.767651287345913, -6.297463441676356],
-                [106.767524991629585, -6.297645456091067],
-                [106.767450700031745, -6.29784604340524],
-                [106.767413554232817, -6.298098634837902],
-                [106.767376408433904, -6.298425517868405],
-                [106.767402410493148, -6.298603817703225],
-                [106.767476702090988, -6.298778402958153],
-                [106.767684718564936, -6.298774688378261],
-                [106.768178757690592, -6.298707825940203],
-                [106.768613363537966, -6.298659536401606],
-                [106.76872108635483, -6.298629819762469],
-              ],
-            ],
-          },
-        },
-        {
-          type: "Feature",
-          properties: { id: 4, jalan: "JL PONCOL INDAH" },
-          geometry: {
-            type: "MultiLineString",
-            coordinates: [
-              [
-                [106.768698798875477, -6.297638026931283],
-                [106.768691369715697, -6.298109778577578],
-                [106.768732230094514, -6.29871896967988],
-                [106.768780519633111, -6.299179577586497],
-                [106.768691369715711, -6.300825136478691],
-                [106.768557644839589, -6.301575481616892],
-                [106.768721086354844, -6.302511555749697],
-                [106.768836238331474, -6.303245185278384],
-                [106.76898482152717, -6.303794943102413],
-                [106.769185408841338, -6.304173830251405],
-                [106.769371137835947, -6.304530429921045],
-              ],
-            ],
-          },
-        },
-        {
-          type: "Feature",
-          properties: { id: 5, jalan: "JL. PONCOL RAYA" },
-          geometry: {
-            type: "MultiLineString",
-            coordinates: [
-              [
-                [106.767803585121484, -6.303312047716441],
-                [106.767944739157386, -6.303668647386082],
-                [106.768123038992201, -6.303846947220902],
-                [106.768605934378172, -6.303646359906729],
-                [106.769133404722851, -6.303497776711046],
-                [106.769690591706663, -6.30341605595342],
-                [106.770203203731768, -6.303408626793636],
-                [106.770700957437299, -6.303349193515363],
-                [106.7708421114732, -6.303757797303492],
-                [106.770998123828676, -6.303809801421981],
-                [106.771377010977659, -6.303794943102413],
-                [106.771585027451621, -6.304136684452485],
-                [106.771726181487523, -6.304582434039534],
-                [106.771763327286436, -6.304961321188527],
-                [106.771830189724497, -6.305228770940757],
-                [106.772194218553921, -6.305095046064642],
-                [106.772565676543138, -6.305013325307016],
-              ],
-            ],
-          },
-        },
-        {
-          type: "Feature",
-          properties: { id: 6, jalan: "JL.PISANGAN RAYA" },
-          geometry: {
-            type: "MultiLineString",
-            coordinates: [
-              [
-                [106.758799443463062, -6.311298394484418],
-                [106.759482926163216, -6.311350398602908],
-                [106.760181267182929, -6.311357827762692],
-                [106.760404141976451, -6.311417261040965],
-                [106.760842462403716, -6.311484123479023],
-                [106.761563090902783, -6.311558415076864],
-                [106.762023698809401, -6.311573273396433],
-                [106.762239144443143, -6.311588131716001],
-                [106.762417444277958, -6.311654994154059],
-                [106.762514023355152, -6.31181843566931],
-                [106.762491735875798, -6.312041310462835],
-                [106.762491735875798, -6.312412768452043],
-                [106.762506594195372, -6.312576209967295],
-                [106.76294862920254, -6.312520491268914],
-                [106.763357232990671, -6.312501918369454],
-                [106.763450097487961, -6.312513062109129],
-                [106.763924635069174, -6.312487060049885],
-                [106.764165154117194, -6.312490774629778],
-                [106.76439452942553, -6.312561351647727],
-                [106.764524539721748, -6.312617070346108],
-                [106.76474741451527, -6.312721078583087],
-                [106.764806847793551, -6.312769368121684],
-                [106.764877424811502, -6.312847374299417],
-                [106.764914570610415, -6.313025674134237],
-                [106.764951716409342, -6.314041611734722],
-                [106.764907141450635, -6.314882964080279],
-                [106.764873710231598, -6.315638881088318],
-                [106.764843993592464, -6.315954620379145],
-                [106.764840279012574, -6.316244357610728],
-              ],
-            ],
-          },
-        },
-        {
-          type: "Feature",
-          properties: { id: 7, jalan: "JL.INPRES" },
-          geometry: {
-            type: "MultiLineString",
-            coordinates: [
-              [
-                [106.760635374574761, -6.316779257115186],
-                [106.760579655876384, -6.316110632734611],
-                [106.760668805793784, -6.315577590520097],
-                [106.760847105628613, -6.315447580223874],
-                [106.76090653890688, -6.315220990850457],
-                [106.760939970125904, -6.314559795629666],
-                [106.760939970125904, -6.314242199048893],
-                [106.760939970125904, -6.313943175367581],
-                [106.761025405463428, -6.313738873473516],
-                [106.761114555380843, -6.313508569520207],
-                [106.761129413700402, -6.313248548927761],
-                [106.761188846978683, -6.312899378417905],
-                [106.761237136517281, -6.312565066227617],
-                [106.761645740305411, -6.312598497446646],
-                [106.762128635691383, -6.312617070346107],
-                [106.762678393515401, -6.312546493328157],
-                [106.763150145161703, -6.312509347529237],
-                [106.763906990814704, -6.312483345469992],
-                [106.76448553663289, -6.312594782866754],
-                [106.764767844704679, -6.312735936902653],
-                [106.764930357574983, -6.312689504654003],
-              ],
-            ],
-          },
-        },
-        {
-          type: "Feature",
-          properties: { id: 8, jalan: "JL.GUNUNG RAYA" },
-          geometry: {
-            type: "MultiLineString",
-            coordinates: [
-              [
-                [106.769818744712978, -6.313142683400836],
-                [106.769490004392523, -6.312979241885586],
-                [106.76902382461607, -6.312499132434534],
-                [106.768815808142108, -6.31219639417333],
-                [106.768522356330635, -6.311714427432332],
-                [106.768303196117003, -6.311420975620857],
-                [106.768069177583811, -6.311085734785597],
-                [106.767707006044333, -6.310629770103844],
-                [106.767407982363011, -6.310242525150096],
-                [106.767189286471876, -6.30989335464024],
-                [106.766936695039206, -6.309528397165843],
-                [106.76669153276633, -6.309167154271338],
-                [106.766476551455071, -6.308852343625484],
-                [106.766150132747057, -6.308325801925782],
-                [106.766025694320675, -6.308014705859819],
-                [106.76593654440326, -6.307649748385423],
-                [106.765865967385309, -6.307262503431674],
-                [106.765821392426616, -6.306802824170029],
-                [106.765761959148335, -6.306391434446981],
-                [106.765732242509202, -6.305968900984258],
-                [106.765683952970605, -6.3055853706104],
-                [106.765659808201306, -6.305179552757191],
-                [106.765585516603466, -6.304762591164304],
-                [106.765529797905089, -6.304341914991527],
-                [106.765462935467028, -6.303943526298101],
-                [106.76542950424799, -6.303550709474514],
-                [106.765414645928431, -6.303280473787366],
-                [106.765548370804538, -6.303154178071035],
-                [106.765611518662709, -6.303012095390163],
-                [106.765557657254277, -6.302561702578249],
-                [106.765492652106161, -6.302363901198995],
-                [106.764766916059742, -6.301729636682422],
-                [106.764533361849033, -6.301706420558098],
-                [106.764394065103076, -6.301648844569771],
-                [106.764254768357119, -6.301433398936029],
-                [106.764056038332896, -6.301202166337748],
-                [106.763983604025, -6.301063798236768],
-                [106.764018892533983, -6.300637550194152],
-                [106.763914884296995, -6.300410960820735],
-                [106.763579179139256, -6.300163012612939],
-                [106.763462169872653, -6.300027430446877],
-                [106.763389735564758, -6.299882561831087],
-                [106.763482600062062, -6.299655043812697],
-                [106.763610753068335, -6.299381093545656],
-                [106.763633040547688, -6.299284514468462],
-                [106.763573607269421, -6.299225081190189],
-                [106.763491886511787, -6.299184220811376],
-                [106.763454740712874, -6.299161933332023],
-                [106.763415737624001, -6.29913035940294],
-              ],
-            ],
-          },
-        },
-        {
-          type: "Feature",
-          properties: { id: 9, jalan: "JL. MASJID BAITULULA" },
-          geometry: {
-            type: "MultiLineString",
-            coordinates: [
-              [
-                [106.764916427900431, -6.312692290588934],
-                [106.765269312990171, -6.312658859369906],
-                [106.765362177487475, -6.312354263818754],
-                [106.765410467026072, -6.311626206159906],
-                [106.765440183665206, -6.311537056242496],
-                [106.765488473203803, -6.311533341662604],
-                [106.765700204257655, -6.311581631201201],
-                [106.766067947666969, -6.311648493639259],
-                [106.766405974437149, -6.311670781118611],
-                [106.76655455763283, -6.311603918680554],
-                [106.766606561751317, -6.311533341662604],
-                [106.766653922644934, -6.310944580749709],
-                [106.76698452025532, -6.31101887234755],
-                [106.767419126102695, -6.311063447306256],
-                [106.767764582032669, -6.31110802226496],
-                [106.768061748424032, -6.311082020205716],
-              ],
-            ],
-          },
-        },
-        {
-          type: "Feature",
-          properties: { id: 10, jalan: "JL. MEKAR BARU RAYA" },
-          geometry: {
-            type: "MultiLineString",
-            coordinates: [
-              [
-                [106.768084035903428, -6.311119166004639],
-                [106.768436920993182, -6.311096878525286],
-                [106.768815808142165, -6.311119166004639],
-                [106.768819522722055, -6.310606553979532],
-                [106.768823237301945, -6.310454256203956],
-                [106.769068399574834, -6.310480258263201],
-                [106.769179836971588, -6.310476543683309],
-                [106.769254128569429, -6.309897069220144],
-                [106.76930984726782, -6.309306451017302],
-                [106.76931356184771, -6.309057574164533],
-                [106.769335849327064, -6.308517102790235],
-                [106.769291274368356, -6.307824333640361],
-                [106.769276416048783, -6.306960693815451],
-                [106.769246699409649, -6.306305070464499],
-                [106.769268986889003, -6.306156487268816],
-              ],
-            ],
-          },
-        },
-        {
-          type: "Feature",
-          properties: { id: 11, jalan: "JL. GN INDAH V" },
-          geometry: {
-            type: "MultiLineString",
-            coordinates: [
-              [
-                [106.765708562062443, -6.305762741800252],
-                [106.766208173057933, -6.305725596001331],
-                [106.766497910289516, -6.305710737681762],
-                [106.766795076680879, -6.305694022072248],
-                [106.76712010242143, -6.305686592912464],
-                [106.767376408433989, -6.305686592912464],
-                [106.767461843771514, -6.305705165811925],
-                [106.767493417700592, -6.305900181256259],
-                [106.767530563499506, -6.306247494476168],
-                [106.767770153902546, -6.306256780925898],
-                [106.768165292338566, -6.306256780925898],
-                [106.768798163887681, -6.306188061197895],
-                [106.769278273338728, -6.306152772688921],
-              ],
-            ],
-          },
-        },
-        {
-          type: "Feature",
-          properties: { id: 12, jalan: "JL.MEKAR BARU IV" },
-          geometry: {
-            type: "MultiLineString",
-            coordinates: [
-              [
-                [106.769300560818081, -6.306149058109028],
-                [106.769597727209458, -6.306085910250863],
-                [106.770050905956282, -6.305987473883722],
-                [106.770318355708511, -6.305957757244586],
-                [106.770576519011016, -6.305939184345125],
-                [106.770678669958045, -6.305952185374748],
-                [106.770719530336862, -6.306000474913345],
-                [106.770693063955136, -6.306069194641348],
-                [106.770689349375246, -6.306165773718543],
-                [106.770771070132866, -6.306279068405251],
-                [106.77087879294973, -6.30627535382536],
-                [106.771209390560131, -6.306279068405251],
-                [106.771356116465867, -6.30629392672482],
-                [106.771403941681982, -6.306269781955521],
-                [106.771441087480895, -6.306054336321781],
-                [106.771451766898082, -6.30594661350491],
-                [106.771659783372044, -6.305957757244586],
-                [106.77205910071045, -6.305968900984262],
-                [106.77223182867543, -6.305957757244586],
-                [106.77249556384777, -6.30595589995464],
-              ],
-            ],
-          },
-        },
-        {
-          type: "Feature",
-          properties: { id: 13, jalan: "JL CIRENDEU INDAH II" },
-          geometry: {
-            type: "MultiLineString",
-            coordinates: [
-              [
-                [106.76529281931596, -6.312586163880315],
-                [106.765690279364406, -6.312723603336319],
-                [106.765872293779111, -6.312779322034698],
-                [106.765942870797062, -6.312738461655886],
-                [106.766347760005289, -6.312831326153186],
-                [106.766767507533089, -6.312875901111891],
-                [106.767306121617423, -6.313017055147786],
-                [106.767681294186517, -6.31302448430757],
-                [106.767889310660465, -6.313072773846167],
-                [106.768075039655059, -6.31315449460379],
-                [106.768268197809448, -6.31328450490001],
-                [106.768253339489874, -6.313613245220451],
-                [106.768378706561236, -6.313691251398184],
-                [106.769077047580936, -6.313765542996023],
-                [106.76961566166527, -6.313839834593863],
-                [106.769779103180525, -6.313150780023898],
-                [106.770090199246482, -6.312591735750153],
-                [106.770376221898175, -6.312677171087669],
-                [106.770762538206938, -6.312747748105616],
-                [106.771007700479814, -6.312784893904537],
-                [106.772005065180821, -6.31299662495838],
-                [106.772079356778661, -6.312818325123565],
-                [106.772079356778661, -6.312539731631665],
-                [106.772109073417795, -6.312290854778902],
-                [106.772109073417795, -6.31195282800873],
-                [106.772097929678125, -6.311700236576074],
-                [106.772164792116172, -6.311510793001583],
-                [106.772242798293902, -6.311183909971087],
-              ],
-            ],
-          },
-        },
-        {
-          type: "Feature",
-          properties: { id: 14, jalan: "JL.CLUSTER TITAN" },
-          geometry: {
-            type: "MultiLineString",
-            coordinates: [
-              [
-                [106.772573395904288, -6.308903157917404],
-                [106.772963426792941, -6.308944018296216],
-                [106.773052576710356, -6.309036882793515],
-                [106.773082293349489, -6.309267186746819],
-                [106.773034003810892, -6.30949377612023],
-                [106.773067435029915, -6.309738938393102],
-                [106.773186301586463, -6.309909809068134],
-                [106.773390603480522, -6.31014382760133],
-                [106.773609763694154, -6.310184687980142],
-                [106.773539186676203, -6.310504141850853],
-                [106.7736766261322, -6.310619293827505],
-                [106.774163236098062, -6.310760447863401],
-                [106.774408398370923, -6.310845883200916],
-                [106.774215240216549, -6.311163479781682],
-                [106.774204096476865, -6.311367781675742],
-                [106.774144663198598, -6.311911967629919],
-                [106.773925502984966, -6.312010403997057],
-                [106.773847496807235, -6.312073551855221],
-                [106.77401093832249, -6.312326143287876],
-                [106.774293246394279, -6.312697601277076],
-                [106.774497548288338, -6.312905617751028],
-                [106.774475260808984, -6.313616959800345],
-                [106.774575554466068, -6.313967987600138],
-                [106.774895008336784, -6.314086854156682],
-                [106.774924724975918, -6.314153716594737],
-                [106.774902437496564, -6.314239151932253],
-              ],
-            ],
-          },
-        },
-        {
-          type: "Feature",
-          properties: { id: 15, jalan: "JL. MEKAR BARU IV" },
-          geometry: {
-            type: "MultiLineString",
-            coordinates: [
-              [
-                [106.77115071180566, -6.310049105814083],
-                [106.77115071180566, -6.309878235139052],
-                [106.771195286764367, -6.309555066688448],
-                [106.771132138906196, -6.309027596343785],
-                [106.771113566006733, -6.308173242968626],
-                [106.771054132728466, -6.308065520151758],
-                [106.770850759479373, -6.30798565668408],
-                [106.770869332378837, -6.307395038481253],
-                [106.770787611621202, -6.30697900553335],
-                [106.770639028425535, -6.306717127650964],
-                [106.770379007833085, -6.306288093673438],
-                [106.770327003714598, -6.305974211672565],
-                [106.769933258246056, -6.306011357471485],
-                [106.76933521088344, -6.306130224028029],
-                [106.769012042432834, -6.306159940667165],
-                [106.767616289038415, -6.306275092643816],
-                [106.767560570340038, -6.306215659365545],
-                [106.767475135002513, -6.305695618180666],
-              ],
-            ],
-          },
-        },
-        {
-          type: "Feature",
-          properties: { id: 16, jalan: "JL.UNIVERSITAS MUHAMMADIYAH JAKARTA" },
-          geometry: {
-            type: "MultiLineString",
-            coordinates: [
-              [
-                [106.766468483851824, -6.299912017288833],
-                [106.766513058810517, -6.300368910615548],
-                [106.766568777508908, -6.30065121868734],
-                [106.766695073225236, -6.300922383019455],
-                [106.766758221083393, -6.30145356794401],
-                [106.766780508562746, -6.301572434500555],
-                [106.766836227261123, -6.301617009459259],
-                [106.767111106173132, -6.301624438619043],
-                [106.767419416304165, -6.301591007400014],
-                [106.767634861937907, -6.30152785954185],
-                [106.767683151476504, -6.301442424204335],
-                [106.767649720257467, -6.301182403611895],
-                [106.767378555925362, -6.30044691679328],
-                [106.767356268446008, -6.300034598425269],
-                [106.767293120587837, -6.299603707157797],
-                [106.767070245794329, -6.299100381582432],
-                [106.767207685250327, -6.298273887556463],
-                [106.767352553866118, -6.29758854756639],
-                [106.767727726435211, -6.297270950985625],
-                [106.76792831374938, -6.29716137087881],
-              ],
-            ],
-          },
-        },
-      ],
-    };
-  }
 }
 
 /**
@@ -1326,20 +6385,17 @@ function handleKeyboardShortcuts(event) {
         break;
       case "l":
         event.preventDefault();
-        if (navigator.geolocation && gisApp) {
-          navigator.geolocation.getCurrentPosition((position) => {
-            gisApp.map.setView(
-              [position.coords.latitude, position.coords.longitude],
-              16
-            );
-          });
-        }
+        if (gisApp) gisApp.locateUser();
         break;
     }
   }
 
   if (event.key === "Escape" && gisApp?.map) {
     gisApp.map.closePopup();
+    gisApp.cancelMapPick();
+    gisApp.cancelMeasurement();
+    gisApp.stopSketchTool();
+    gisApp.closePhotoGallery();
   }
 }
 
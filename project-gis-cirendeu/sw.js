@@ -0,0 +1,247 @@
+/**
+ * Service worker for offline field use of the Cirendeu facility map.
+ *
+ * - App shell and CDN libraries: network first, cached copy when offline
+ * - Facility and road API (GET): network first, cached copy when offline or
+ *   when the server answers with an error; cached copies carry an
+ *   X-Cached-At header so the page can flag the data as stale
+ * - Map tiles and facility photos: cache first
+ * - Tiles for the kelurahan extent are downloaded on request from the page
+ *   (message type "PRECACHE")
+ */
+
+const CACHE_VERSION = "v1";
+const CACHES = {
+  app: `cirendeu-app-${CACHE_VERSION}`,
+  data: `cirendeu-data-${CACHE_VERSION}`,
+  tiles: `cirendeu-tiles-${CACHE_VERSION}`,
+  photos: `cirendeu-photos-${CACHE_VERSION}`,
+};
+
+const APP_SHELL = [
+  "./",
+  "index.html",
+  "css/style.css",
+  "js/i18n.js",
+  "js/script.js",
+];
+
+// Read-only API endpoints that are kept for offline use
+const DATA_ENDPOINTS = ["/api/fasilitas.php", "/api/jalan.php"];
+
+// OSM tile usage policy: keep bulk downloads gentle
+const PRECACHE_CONCURRENCY = 2;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHES.app)
+      .then((cache) => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  const current = Object.values(CACHES);
+
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith("cirendeu-"))
+            .filter((key) => !current.includes(key))
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const request = event.request;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+
+  if (isTileRequest(url)) {
+    event.respondWith(cacheFirst(request, CACHES.tiles, getTileCacheKey(url)));
+    return;
+  }
+
+  if (url.origin !== self.location.origin) {
+    // CDN libraries (Leaflet, plugins, Font Awesome). They are requested
+    // with crossorigin so the responses are not opaque and can be cached.
+    event.respondWith(networkFirst(request, CACHES.app));
+    return;
+  }
+
+  if (url.pathname.includes("/uploads/")) {
+    event.respondWith(cacheFirst(request, CACHES.photos));
+    return;
+  }
+
+  if (isDataRequest(url)) {
+    event.respondWith(networkFirstWithTimestamp(request, CACHES.data));
+    return;
+  }
+
+  // Sessions and admin pages must never come from a cache
+  if (url.pathname.includes("/api/") || url.pathname.includes("/admin/")) {
+    return;
+  }
+
+  event.respondWith(networkFirst(request, CACHES.app));
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type !== "PRECACHE") return;
+
+  event.waitUntil(precache(event.data, event.source));
+});
+
+function isDataRequest(url) {
+  return DATA_ENDPOINTS.some((endpoint) => url.pathname.endsWith(endpoint));
+}
+
+function isTileRequest(url) {
+  return (
+    url.hostname.endsWith("tile.openstreetmap.org") ||
+    url.hostname === "server.arcgisonline.com"
+  );
+}
+
+// Leaflet spreads OSM tiles over a/b/c subdomains; store them under one key
+function getTileCacheKey(url) {
+  return url.href.replace(
+    /^https:\/\/[abc]\.tile\.openstreetmap\.org/,
+    "https://tile.openstreetmap.org"
+  );
+}
+
+async function cacheFirst(request, cacheName, cacheKey = request) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(cacheKey);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    cache.put(cacheKey, response.clone());
+  }
+  return response;
+}
+
+async function networkFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+async function networkFirstWithTimestamp(request, cacheName) {
+  const cache = await caches.open(cacheName);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put(request, await withTimestamp(response.clone()));
+      return response;
+    }
+
+    // A failing server should not hide the last good response
+    const cached = await cache.match(request);
+    return cached || response;
+  } catch (error) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+async function withTimestamp(response) {
+  const headers = new Headers(response.headers);
+  headers.set("X-Cached-At", new Date().toISOString());
+
+  return new Response(await response.blob(), {
+    status: response.status,
+    statusText: response.statusText,
+    headers,
+  });
+}
+
+async function precache({ tiles = [], urls = [] }, client) {
+  const tileCache = await caches.open(CACHES.tiles);
+  const jobs = [
+    ...tiles.map((url) => ({ url, tile: true })),
+    ...urls.map((url) => ({ url, tile: false })),
+  ];
+  let done = 0;
+  let failed = 0;
+
+  const report = (finished = false) =>
+    client?.postMessage({
+      type: "PRECACHE_PROGRESS",
+      done,
+      failed,
+      total: jobs.length,
+      finished,
+    });
+
+  const runJob = async ({ url, tile }) => {
+    try {
+      if (tile) {
+        const key = getTileCacheKey(new URL(url));
+        if (!(await tileCache.match(key))) {
+          const response = await fetch(url, { mode: "cors" });
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          await tileCache.put(key, response);
+        }
+      } else {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        await storeForOffline(url, response);
+      }
+    } catch (error) {
+      failed++;
+    }
+    done++;
+    if (done % 10 === 0) report();
+  };
+
+  const queue = [...jobs];
+  const workers = Array.from({ length: PRECACHE_CONCURRENCY }, async () => {
+    while (queue.length > 0) {
+      await runJob(queue.shift());
+    }
+  });
+
+  await Promise.all(workers);
+  report(true);
+}
+
+// fetch() from the worker itself bypasses its own fetch handler, so
+// store the result in the cache that handler would read from
+async function storeForOffline(url, response) {
+  const parsed = new URL(url, self.location.href);
+
+  if (parsed.pathname.includes("/uploads/")) {
+    const cache = await caches.open(CACHES.photos);
+    await cache.put(url, response);
+  } else if (isDataRequest(parsed)) {
+    const cache = await caches.open(CACHES.data);
+    await cache.put(url, await withTimestamp(response));
+  } else {
+    const cache = await caches.open(CACHES.app);
+    await cache.put(url, response);
+  }
+}